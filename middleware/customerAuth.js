@@ -42,4 +42,22 @@ const customerAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { customerAuth };
\ No newline at end of file
+// ✅ Load the customer when a valid token is sent, otherwise carry on as a guest
+// (public routes that show customer-specific prices)
+const optionalCustomerAuth = async (req, res, next) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    try {
+      const token = req.headers.authorization.split(' ')[1];
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const customer = await Customer.findById(decoded.id).select('-password');
+      if (customer) {
+        req.user = customer;
+      }
+    } catch (err) {
+      // Invalid or expired token - treat as a guest
+    }
+  }
+  next();
+};
+
+module.exports = { customerAuth, optionalCustomerAuth };
\ No newline at end of file
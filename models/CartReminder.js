@@ -0,0 +1,76 @@
+// server/models/CartReminder.js
+const mongoose = require('mongoose');
+
+// ✅ Queued reminder for a customer who left items in their cart.
+// One reminder per idle period: a new one is only queued after the cart changes again.
+const CartReminderSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'sms'],
+    required: true
+  },
+  // Email address or mobile number at the time the reminder was queued
+  recipient: {
+    type: String,
+    required: true
+  },
+  // queued -> sent | failed (gave up retrying) | skipped (opted out) | cancelled (cart changed or emptied)
+  status: {
+    type: String,
+    enum: ['queued', 'sent', 'failed', 'skipped', 'cancelled'],
+    default: 'queued'
+  },
+  // Latest cart line activity the reminder is about
+  cartLastActivityAt: {
+    type: Date,
+    required: true
+  },
+  items: [{
+    _id: false,
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    title: String,
+    selectedColor: String,
+    quantity: Number,
+    unitPrice: Number
+  }],
+  cartValue: {
+    type: Number,
+    default: 0
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: ''
+  },
+  // Driver that handled the message and its message id
+  driver: {
+    type: String,
+    default: ''
+  },
+  messageId: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+CartReminderSchema.index({ status: 1, createdAt: 1 });
+CartReminderSchema.index({ customer: 1, cartLastActivityAt: -1 });
+
+module.exports = mongoose.model('CartReminder', CartReminderSchema);
@@ -0,0 +1,89 @@
+// server/models/Collection.js
+const mongoose = require('mongoose');
+const { GENDERS, PRODUCT_TYPES, SORT_OPTIONS } = require('../utils/productQuery');
+const { slugify, uniqueSlug } = require('../utils/slug');
+
+// ✅ Admin-curated product groups ("New Arrivals", "Wedding Gifts", ...)
+// Hand-picked products come first, in the order the admin set;
+// products matching the optional rules follow.
+const CollectionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Collection name is required'],
+    trim: true,
+    maxlength: [80, 'Name cannot exceed 80 characters']
+  },
+  slug: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    unique: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['active', 'inactive'],
+    default: 'active'
+  },
+  // Position in the public collection list (lowest first)
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  // Hand-picked products, in display order
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  // Optional automatic membership - empty lists mean "no rule on this field".
+  // A collection with no rules at all only shows its hand-picked products.
+  rules: {
+    brands: {
+      type: [String],
+      default: []
+    },
+    productTypes: {
+      type: [{ type: String, enum: PRODUCT_TYPES }],
+      default: []
+    },
+    genders: {
+      type: [{ type: String, enum: GENDERS }],
+      default: []
+    }
+  },
+  // Order of the rule-matched products
+  ruleSort: {
+    type: String,
+    enum: Object.keys(SORT_OPTIONS),
+    default: 'newest'
+  },
+  // Cap on how many products the collection shows (null = no cap)
+  maxProducts: {
+    type: Number,
+    min: [1, 'Max products must be at least 1'],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+CollectionSchema.index({ status: 1, sortOrder: 1 });
+
+// Generate a slug from the name for new collections
+CollectionSchema.pre('save', async function() {
+  if (!this.slug) {
+    this.slug = await uniqueSlug(this.constructor, slugify(this.name) || 'collection', this._id);
+  }
+});
+
+// ✅ True when the collection pulls in products automatically
+CollectionSchema.methods.hasRules = function() {
+  const { brands = [], productTypes = [], genders = [] } = this.rules || {};
+  return brands.length > 0 || productTypes.length > 0 || genders.length > 0;
+};
+
+module.exports = mongoose.model('Collection', CollectionSchema);
@@ -83,6 +83,11 @@ const CustomerSchema = new mongoose.Schema({
       ref: 'Product',
       required: true
     },
+    // ✅ Product.colors[]._id of the chosen variant
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    // Color name kept for display (variantId is the source of truth)
     selectedColor: {
       type: String,
       required: true
@@ -92,6 +97,36 @@ const CustomerSchema = new mongoose.Schema({
       required: true,
       default: 1,
       min: [1, 'Quantity must be at least 1']
+    },
+    // ✅ Line activity (abandoned cart detection uses the latest updatedAt)
+    addedAt: {
+      type: Date,
+      default: Date.now
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // ✅ WISHLIST - a product, optionally narrowed to one color
+  wishlist: [{
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    selectedColor: {
+      type: String,
+      default: ''
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
     }
   }],
 
@@ -120,6 +155,64 @@ const CustomerSchema = new mongoose.Schema({
     }
   },
 
+  // ✅ Business verification - trade prices need an approved account,
+  // not just the self-declared businessDetails above
+  businessVerification: {
+    status: {
+      type: String,
+      enum: ['none', 'pending', 'approved', 'rejected'],
+      default: 'none'
+    },
+    documents: [{
+      _id: false,
+      type: {
+        type: String,
+        enum: ['business_registration', 'shop_photo'],
+        required: true
+      },
+      // Storage key (see utils/storage)
+      key: {
+        type: String,
+        required: true
+      },
+      originalName: {
+        type: String,
+        default: ''
+      },
+      uploadedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    submittedAt: {
+      type: Date,
+      default: null
+    },
+    reviewedAt: {
+      type: Date,
+      default: null
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    rejectionReason: {
+      type: String,
+      trim: true,
+      default: ''
+    }
+  },
+
+  // ✅ Messages the customer agreed to receive
+  notificationPreferences: {
+    // Reminders about items left in the cart
+    cartReminders: {
+      type: Boolean,
+      default: true
+    }
+  },
+
   // Account Status
   isActive: {
     type: Boolean,
@@ -133,6 +226,14 @@ const CustomerSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Admin review queue
+CustomerSchema.index({ 'businessVerification.status': 1, 'businessVerification.submittedAt': 1 });
+
+// ✅ Trade features are only for approved business accounts
+CustomerSchema.methods.isVerifiedBusiness = function() {
+  return this.businessVerification?.status === 'approved';
+};
+
 // ✅ FIXED: Proper async pre-save hook (NO next() needed)
 CustomerSchema.pre('save', async function() {
   if (!this.isModified('password')) {
@@ -142,6 +243,32 @@ CustomerSchema.pre('save', async function() {
   this.password = await bcrypt.hash(this.password, salt);
 });
 
+// Cart lines saved before line timestamps existed get the customer's updatedAt
+// (stored, so loading them no longer fills in "now" from the schema default)
+CustomerSchema.statics.backfillCartTimestamps = async function() {
+  const result = await this.updateMany(
+    { cart: { $elemMatch: { $or: [{ addedAt: { $exists: false } }, { updatedAt: { $exists: false } }] } } },
+    [{
+      $set: {
+        cart: {
+          $map: {
+            input: '$cart',
+            as: 'line',
+            in: {
+              $mergeObjects: ['$$line', {
+                addedAt: { $ifNull: ['$$line.addedAt', '$updatedAt'] },
+                updatedAt: { $ifNull: ['$$line.updatedAt', '$updatedAt'] }
+              }]
+            }
+          }
+        }
+      }
+    }],
+    { updatePipeline: true, timestamps: false }
+  );
+  return result.modifiedCount;
+};
+
 // Compare password method
 CustomerSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
@@ -0,0 +1,57 @@
+// server/models/GuestCart.js
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// ✅ Cart of an anonymous shopper, identified by the token the storefront keeps.
+// Lines have the same shape as Customer.cart so the cart helpers work on both.
+const GuestCartSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => crypto.randomBytes(24).toString('hex')
+  },
+  cart: [{
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    selectedColor: {
+      type: String,
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      default: 1,
+      min: [1, 'Quantity must be at least 1']
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Bumped on every change - carts left alone too long are removed by the daily cleanup
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+GuestCartSchema.index({ lastActivityAt: 1 });
+
+GuestCartSchema.pre('save', function() {
+  this.lastActivityAt = new Date();
+});
+
+module.exports = mongoose.model('GuestCart', GuestCartSchema);
@@ -0,0 +1,75 @@
+// server/models/InventoryMovement.js
+const mongoose = require('mongoose');
+
+// ✅ One row per stock change on a product color (variant) - never updated, only appended
+const InventoryMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Color name / SKU at the time of the movement (variants can be renamed later)
+  colorName: {
+    type: String,
+    default: ''
+  },
+  sku: {
+    type: String,
+    default: ''
+  },
+  type: {
+    type: String,
+    enum: ['sale', 'adjustment', 'return', 'restock', 'reservation', 'release'],
+    required: true
+  },
+  // Change to units available for sale (colors[].quantity)
+  quantityChange: {
+    type: Number,
+    default: 0
+  },
+  // Change to units held for pending orders (colors[].reserved)
+  reservedChange: {
+    type: Number,
+    default: 0
+  },
+  // Resulting balances right after the change (null quantity = stock not tracked)
+  balanceAfter: {
+    type: Number,
+    default: null
+  },
+  reservedAfter: {
+    type: Number,
+    default: 0
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  // Who caused it: an admin (User), a customer (Customer) or a background job
+  actorType: {
+    type: String,
+    enum: ['admin', 'customer', 'system'],
+    default: 'system'
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+InventoryMovementSchema.index({ product: 1, createdAt: -1 });
+InventoryMovementSchema.index({ product: 1, variantId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('InventoryMovement', InventoryMovementSchema);
@@ -1,5 +1,6 @@
 // server/models/Order.js
 const mongoose = require('mongoose');
+const { PRICE_TIERS } = require('../utils/productQuery');
 
 const OrderSchema = new mongoose.Schema({
   customer: {
@@ -13,6 +14,15 @@ const OrderSchema = new mongoose.Schema({
       ref: 'Product',
       required: true
     },
+    // ✅ Product.colors[]._id of the ordered variant
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    sku: {
+      type: String,
+      default: ''
+    },
+    // Color name kept for display (variantId is the source of truth)
     selectedColor: {
       type: String,
       required: true
@@ -25,6 +35,26 @@ const OrderSchema = new mongoose.Schema({
     price: {
       type: Number,
       required: true
+    },
+    // ✅ Price tier the line was charged at (retail unless a trade price applied)
+    priceTier: {
+      type: String,
+      enum: ['retail', ...PRICE_TIERS],
+      default: 'retail'
+    },
+    // ✅ Units held for this line (0 when the variant's stock isn't tracked)
+    reservedQuantity: {
+      type: Number,
+      default: 0
+    },
+    // ✅ Product details at checkout - never changed afterwards
+    snapshot: {
+      title: { type: String, immutable: true },
+      brand: { type: String, immutable: true },
+      modelNumber: { type: String, immutable: true },
+      image: { type: String, immutable: true },
+      color: { type: String, immutable: true },
+      unitPrice: { type: Number, immutable: true }
     }
   }],
   totalAmount: {
@@ -51,13 +81,65 @@ const OrderSchema = new mongoose.Schema({
     enum: ['pending_payment', 'processing', 'confirmed', 'shipped', 'delivered', 'cancelled'],
     default: 'pending_payment'
   },
+  // ✅ Stock reservation lifecycle:
+  // none (older orders) -> reserved -> committed (receipt verified)
+  //                                 -> released (cancelled / receipt rejected)
+  //                                 -> expired (left in pending_payment too long)
+  //                     committed -> returned (cancelled after the receipt was verified)
+  stockStatus: {
+    type: String,
+    enum: ['none', 'reserved', 'committed', 'released', 'expired', 'returned'],
+    default: 'none'
+  },
+  reservationExpiresAt: {
+    type: Date,
+    default: null
+  },
   // Admin notes
   adminNotes: {
     type: String,
     default: ''
-  }
+  },
+  // ✅ Every status / receipt change, oldest first (allowed changes: utils/orderStatus.js)
+  statusHistory: [{
+    _id: false,
+    field: {
+      type: String,
+      enum: ['status', 'receiptStatus'],
+      required: true
+    },
+    // null for the entry written when the order is placed
+    from: {
+      type: String,
+      default: null
+    },
+    to: {
+      type: String,
+      required: true
+    },
+    note: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    actorType: {
+      type: String,
+      enum: ['admin', 'customer', 'system'],
+      default: 'system'
+    },
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true
 });
 
+OrderSchema.index({ stockStatus: 1, reservationExpiresAt: 1 });
+
 module.exports = mongoose.model('Order', OrderSchema);
\ No newline at end of file
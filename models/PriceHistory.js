@@ -0,0 +1,61 @@
+// server/models/PriceHistory.js
+const mongoose = require('mongoose');
+
+// ✅ One record per change to a product's price, sale or effective price
+const PriceHistorySchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Pricing after the change
+  price: {
+    type: Number,
+    default: null
+  },
+  salePrice: {
+    type: Number,
+    default: null
+  },
+  saleStartsAt: {
+    type: Date,
+    default: null
+  },
+  saleEndsAt: {
+    type: Date,
+    default: null
+  },
+  currentPrice: {
+    type: Number,
+    default: null
+  },
+  // Before the change
+  previousPrice: {
+    type: Number,
+    default: null
+  },
+  previousCurrentPrice: {
+    type: Number,
+    default: null
+  },
+  reason: {
+    type: String,
+    enum: ['created', 'edit', 'import', 'sale_started', 'sale_ended'],
+    required: true
+  },
+  actorType: {
+    type: String,
+    enum: ['admin', 'customer', 'system'],
+    default: 'system'
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+PriceHistorySchema.index({ product: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PriceHistory', PriceHistorySchema);
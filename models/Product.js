@@ -1,5 +1,8 @@
 // server/models/Product.js
 const mongoose = require('mongoose');
+const { buildSearchKey } = require('../utils/productSearch');
+const { productSlugBase, slugMatchesBase, uniqueSlug } = require('../utils/slug');
+const { PRICE_TIERS } = require('../utils/productQuery');
 
 const ProductSchema = new mongoose.Schema({
   title: {
@@ -28,6 +31,58 @@ const ProductSchema = new mongoose.Schema({
     type: Number,
     min: [0, 'Price cannot be negative'],
   },
+  // ✅ Scheduled sale - while it runs, `price` is shown as the compare-at price
+  // Open-ended when startsAt / endsAt are null
+  sale: {
+    price: {
+      type: Number,
+      min: [0, 'Sale price cannot be negative'],
+      default: null
+    },
+    startsAt: {
+      type: Date,
+      default: null
+    },
+    endsAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Price customers pay right now and whether the sale is running
+  // (kept in step with the sale dates by utils/pricing.js, used for price filters and sorting)
+  currentPrice: {
+    type: Number,
+    default: null
+  },
+  onSale: {
+    type: Boolean,
+    default: false
+  },
+  // ✅ Negotiated trade prices - not returned unless selected (+priceTiers)
+  // so retail shoppers never see them
+  priceTiers: {
+    type: [{
+      _id: false,
+      tier: {
+        type: String,
+        enum: PRICE_TIERS,
+        required: true
+      },
+      price: {
+        type: Number,
+        required: true,
+        min: [0, 'Tier price cannot be negative']
+      },
+      // The tier price only applies from this many units per order line
+      minQuantity: {
+        type: Number,
+        default: 1,
+        min: [1, 'Minimum quantity must be at least 1']
+      }
+    }],
+    default: [],
+    select: false
+  },
   modelNumber: {
     type: String,
     default: 'N/A',
@@ -45,19 +100,63 @@ const ProductSchema = new mongoose.Schema({
     required: [true, 'Product type is required'],
     default: 'watch'
   },
-  // ✅ UPDATED: Colors with name and optional quantity
+  // ✅ UPDATED: Each color is a sellable variant (its _id is what carts and orders reference)
   colors: [{
     name: {
       type: String,
       required: [true, 'Color name is required'],
       trim: true
     },
+    // Units available to sell (units held by pending orders are moved to `reserved`)
     quantity: {
       type: Number,
       min: [0, 'Quantity cannot be negative'],
       default: null // Optional field
+    },
+    // ✅ Units held for orders awaiting payment verification
+    reserved: {
+      type: Number,
+      min: [0, 'Reserved quantity cannot be negative'],
+      default: 0
+    },
+    sku: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      maxlength: [50, 'SKU cannot exceed 50 characters']
+    },
+    // Optional override - falls back to the product price when not set
+    price: {
+      type: Number,
+      min: [0, 'Price cannot be negative'],
+      default: null
+    },
+    barcode: {
+      type: String,
+      trim: true,
+      validate: {
+        validator: function(code) {
+          return !code || /^\d{8,14}$/.test(code);
+        },
+        message: 'Barcode must be an 8-14 digit EAN/UPC code'
+      }
+    },
+    images: [{
+      type: String
+    }],
+    // ✅ Reorder point for this color (falls back to the product threshold)
+    lowStockThreshold: {
+      type: Number,
+      min: [0, 'Threshold cannot be negative'],
+      default: null
     }
   }],
+  // ✅ Reorder point for every color of this product (falls back to LOW_STOCK_THRESHOLD)
+  lowStockThreshold: {
+    type: Number,
+    min: [0, 'Threshold cannot be negative'],
+    default: null
+  },
   // ✅ NEW: Specifications array
   specifications: [{
     key: {
@@ -83,13 +182,256 @@ const ProductSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // 'archived' = deleted by an admin but kept so order history can still show it
   status: {
     type: String,
-    enum: ['active', 'inactive'],
+    enum: ['active', 'inactive', 'archived'],
     default: 'active',
+  },
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  // Status to go back to when an archived product is restored
+  statusBeforeArchive: {
+    type: String,
+    enum: ['active', 'inactive'],
+    default: null
+  },
+  // ✅ Approved review summary - maintained by utils/reviews.js
+  ratingAverage: {
+    type: Number,
+    default: 0
+  },
+  ratingCount: {
+    type: Number,
+    default: 0
+  },
+  // ✅ SEO: readable URL + optional overrides for <title> and meta description
+  slug: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    unique: true,
+    sparse: true
+  },
+  // Slugs this product had before an edit (looked up to redirect old links)
+  previousSlugs: {
+    type: [String],
+    index: true,
+    default: []
+  },
+  metaTitle: {
+    type: String,
+    trim: true,
+    maxlength: [70, 'Meta title cannot exceed 70 characters']
+  },
+  metaDescription: {
+    type: String,
+    trim: true,
+    maxlength: [160, 'Meta description cannot exceed 160 characters']
+  },
+  // ✅ Normalized brand/title/model used by the typo-tolerant search fallback
+  searchKey: {
+    type: String,
+    default: '',
+    select: false
   }
 }, {
   timestamps: true,
 });
 
+// ✅ Indexes for the public catalog listing (filters + sort options)
+ProductSchema.index({ status: 1, createdAt: -1 });
+ProductSchema.index({ status: 1, currentPrice: 1 });
+ProductSchema.index({ onSale: 1, 'sale.price': 1 });
+ProductSchema.index({ status: 1, brand: 1 });
+ProductSchema.index({ status: 1, productType: 1, gender: 1 });
+ProductSchema.index({ status: 1, ratingAverage: -1, ratingCount: -1 });
+
+// ✅ SKU / barcode lookups. Not unique: a partial filter picks whole products, so the
+// variants without a code would be indexed as null and clash. The product routes
+// check uniqueness instead (validateColors).
+ProductSchema.index({ 'colors.sku': 1 }, { name: 'colors_sku_lookup' });
+ProductSchema.index({ 'colors.barcode': 1 }, { name: 'colors_barcode_lookup' });
+
+// ✅ Weighted full-text index for GET /api/products/search
+ProductSchema.index(
+  {
+    title: 'text',
+    brand: 'text',
+    modelNumber: 'text',
+    'specifications.value': 'text',
+    description: 'text'
+  },
+  {
+    name: 'ProductTextSearch',
+    weights: {
+      title: 10,
+      brand: 8,
+      modelNumber: 8,
+      'specifications.value': 3,
+      description: 1
+    }
+  }
+);
+
+const SEARCH_KEY_FIELDS = ['brand', 'title', 'modelNumber'];
+
+// Keep searchKey and slug in sync on document saves
+ProductSchema.pre('save', async function() {
+  const nameChanged = SEARCH_KEY_FIELDS.some(field => this.isModified(field));
+  if (this.isNew || nameChanged) {
+    this.searchKey = buildSearchKey(this);
+  }
+
+  const base = productSlugBase(this);
+  if (!this.slug) {
+    this.slug = await uniqueSlug(this.constructor, base, this._id);
+  } else if (nameChanged && !slugMatchesBase(this.slug, base)) {
+    // Slugs only move when the name really changed; the old one keeps redirecting
+    const previous = this.slug;
+    this.slug = await uniqueSlug(this.constructor, base, this._id);
+    if (!this.previousSlugs.includes(previous)) this.previousSlugs.push(previous);
+  }
+});
+
+// Keep searchKey and slug in sync on findByIdAndUpdate / findOneAndUpdate
+ProductSchema.pre('findOneAndUpdate', async function() {
+  const update = this.getUpdate() || {};
+  const changes = { ...update, ...(update.$set || {}) };
+  if (!SEARCH_KEY_FIELDS.some(field => changes[field] !== undefined)) {
+    return;
+  }
+
+  const current = await this.model.findOne(this.getQuery()).select('brand title modelNumber slug').lean();
+  if (!current) return;
+
+  const merged = { ...current };
+  SEARCH_KEY_FIELDS.forEach(field => {
+    if (changes[field] !== undefined) merged[field] = changes[field];
+  });
+  this.set('searchKey', buildSearchKey(merged));
+
+  const base = productSlugBase(merged);
+  if (!current.slug || !slugMatchesBase(current.slug, base)) {
+    this.set('slug', await uniqueSlug(this.model, base, current._id));
+    if (current.slug) {
+      const nextUpdate = this.getUpdate();
+      nextUpdate.$addToSet = { ...(nextUpdate.$addToSet || {}), previousSlugs: current.slug };
+      this.setUpdate(nextUpdate);
+    }
+  }
+});
+
+// ✅ Find a color variant by its _id, falling back to the color name (older carts/orders)
+ProductSchema.methods.findVariant = function(variantId, colorName) {
+  if (variantId && mongoose.Types.ObjectId.isValid(variantId)) {
+    const byId = this.colors.id(variantId);
+    if (byId) return byId;
+  }
+  if (colorName) {
+    const name = String(colorName).trim().toLowerCase();
+    return this.colors.find(color => color.name.toLowerCase() === name) || null;
+  }
+  return null;
+};
+
+// ✅ Is the scheduled sale running at `now`?
+ProductSchema.methods.isSaleActive = function(now = new Date()) {
+  const sale = this.sale || {};
+  if (sale.price === null || sale.price === undefined) return false;
+  if (sale.startsAt && sale.startsAt > now) return false;
+  if (sale.endsAt && sale.endsAt <= now) return false;
+  return true;
+};
+
+// ✅ Product price at `now` (sale price while the sale runs)
+ProductSchema.methods.effectivePrice = function(now = new Date()) {
+  return this.isSaleActive(now) ? this.sale.price : this.price;
+};
+
+// ✅ Unit price for a variant (variant override, otherwise the product's current price)
+// Variant overrides are fixed prices and are not discounted by the product sale
+ProductSchema.methods.variantPrice = function(variant) {
+  if (variant && variant.price !== null && variant.price !== undefined) {
+    return variant.price;
+  }
+  return this.effectivePrice();
+};
+
+// ✅ Reorder point for a variant (variant override, product threshold, then the shop default)
+ProductSchema.methods.lowStockThresholdFor = function(variant) {
+  if (variant && variant.lowStockThreshold !== null && variant.lowStockThreshold !== undefined) {
+    return variant.lowStockThreshold;
+  }
+  if (this.lowStockThreshold !== null && this.lowStockThreshold !== undefined) {
+    return this.lowStockThreshold;
+  }
+  return ProductSchema.statics.defaultLowStockThreshold();
+};
+
+ProductSchema.statics.defaultLowStockThreshold = function() {
+  const threshold = parseInt(process.env.LOW_STOCK_THRESHOLD);
+  return Number.isInteger(threshold) && threshold >= 0 ? threshold : 3;
+};
+
+// Fill searchKey on products created before it existed
+ProductSchema.statics.backfillSearchKeys = async function() {
+  const products = await this.find({ $or: [{ searchKey: { $exists: false } }, { searchKey: '' }] })
+    .select('brand title modelNumber')
+    .lean();
+
+  if (products.length === 0) return 0;
+
+  await this.bulkWrite(products.map(product => ({
+    updateOne: {
+      filter: { _id: product._id },
+      update: { $set: { searchKey: buildSearchKey(product) } }
+    }
+  })));
+  return products.length;
+};
+
+// Products created before sale pricing start with currentPrice = price
+ProductSchema.statics.backfillCurrentPrices = async function() {
+  const result = await this.updateMany(
+    { currentPrice: { $exists: false } },
+    [{ $set: { currentPrice: '$price', onSale: false } }],
+    { updatePipeline: true }
+  );
+  return result.modifiedCount;
+};
+
+// Give products created before slugs existed a slug
+ProductSchema.statics.backfillSlugs = async function() {
+  const products = await this.find({ $or: [{ slug: { $exists: false } }, { slug: null }, { slug: '' }] })
+    .select('brand title modelNumber');
+
+  for (const product of products) {
+    const slug = await uniqueSlug(this, productSlugBase(product), product._id);
+    await this.updateOne({ _id: product._id }, { $set: { slug } });
+  }
+  return products.length;
+};
+
+// Drop the unique SKU / barcode indexes older versions created
+ProductSchema.statics.dropUniqueVariantCodeIndexes = async function() {
+  let indexes;
+  try {
+    indexes = await this.collection.indexes();
+  } catch (error) {
+    if (error.codeName === 'NamespaceNotFound') return 0;
+    throw error;
+  }
+
+  const stale = indexes.filter(index =>
+    index.unique && (index.key['colors.sku'] !== undefined || index.key['colors.barcode'] !== undefined)
+  );
+  for (const index of stale) {
+    await this.collection.dropIndex(index.name);
+  }
+  return stale.length;
+};
+
 module.exports = mongoose.model('Product', ProductSchema);
\ No newline at end of file
@@ -0,0 +1,41 @@
+// server/models/ProductRecommendation.js
+const mongoose = require('mongoose');
+
+// ✅ Precomputed "related products" for one product (rebuilt by utils/recommendations.js)
+const ProductRecommendationSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+    unique: true
+  },
+  // Best match first
+  related: [{
+    _id: false,
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    score: {
+      type: Number,
+      required: true
+    },
+    // How many orders contained both products
+    boughtTogether: {
+      type: Number,
+      default: 0
+    },
+    reason: {
+      type: String,
+      enum: ['bought_together', 'similar'],
+      required: true
+    }
+  }],
+  computedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('ProductRecommendation', ProductRecommendationSchema);
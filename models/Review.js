@@ -0,0 +1,70 @@
+// server/models/Review.js
+const mongoose = require('mongoose');
+
+// ✅ Verified-purchase product review - one per customer per product
+const ReviewSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  // The delivered order that made the customer eligible to review
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rating must be a whole number'
+    }
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters'],
+    default: ''
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Review cannot exceed 2000 characters'],
+    default: ''
+  },
+  // pending until an admin approves it; only approved reviews are public and counted
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'hidden'],
+    default: 'pending'
+  },
+  adminReply: {
+    text: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Reply cannot exceed 1000 characters'],
+      default: ''
+    },
+    repliedAt: {
+      type: Date,
+      default: null
+    }
+  }
+}, {
+  timestamps: true
+});
+
+ReviewSchema.index({ product: 1, customer: 1 }, { unique: true });
+ReviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+ReviewSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Review', ReviewSchema);
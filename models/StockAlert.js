@@ -0,0 +1,53 @@
+// server/models/StockAlert.js
+const mongoose = require('mongoose');
+
+// ✅ Raised when a product color drops to or below its reorder threshold
+const StockAlertSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  colorName: {
+    type: String,
+    default: ''
+  },
+  sku: {
+    type: String,
+    default: ''
+  },
+  type: {
+    type: String,
+    enum: ['low_stock', 'out_of_stock'],
+    required: true
+  },
+  // Stock level and threshold when the alert was last updated
+  quantity: {
+    type: Number,
+    required: true
+  },
+  threshold: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'acknowledged', 'resolved'],
+    default: 'open'
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+StockAlertSchema.index({ status: 1, createdAt: -1 });
+StockAlertSchema.index({ product: 1, variantId: 1, status: 1 });
+
+module.exports = mongoose.model('StockAlert', StockAlertSchema);
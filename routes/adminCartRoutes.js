@@ -0,0 +1,102 @@
+// server/routes/adminCartRoutes.js
+const express = require('express');
+const CartReminder = require('../models/CartReminder');
+const { protect, admin } = require('../middleware/auth');
+const { parsePagination } = require('../utils/productQuery');
+const { getIdleHours, findAbandonedCarts, runAbandonedCartJob } = require('../utils/abandonedCarts');
+
+const router = express.Router();
+
+const REMINDER_STATUSES = ['queued', 'sent', 'failed', 'skipped', 'cancelled'];
+
+// @desc    Abandoned carts report (idle carts with no order placed since)
+// @route   GET /api/admin/abandoned-carts
+// @query   idleHours (default ABANDONED_CART_IDLE_HOURS), page, limit
+// @access  Private/Admin
+router.get('/abandoned-carts', protect, admin, async (req, res) => {
+  try {
+    const requestedHours = parseFloat(req.query.idleHours);
+    const idleHours = Number.isFinite(requestedHours) && requestedHours > 0 ? requestedHours : getIdleHours();
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const { carts, total } = await findAbandonedCarts({ idleHours, skip, limit });
+
+    res.json({
+      success: true,
+      data: {
+        idleHours,
+        carts,
+        pagination: {
+          page,
+          pages: Math.ceil(total / limit),
+          limit,
+          total
+        }
+      }
+    });
+  } catch (err) {
+    console.error('Get abandoned carts error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Cart reminder queue
+// @route   GET /api/admin/cart-reminders
+// @query   status (queued|sent|failed|skipped|cancelled), page, limit
+// @access  Private/Admin
+router.get('/cart-reminders', protect, admin, async (req, res) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const query = REMINDER_STATUSES.includes(req.query.status) ? { status: req.query.status } : {};
+
+    const [reminders, total, statusCounts] = await Promise.all([
+      CartReminder.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('customer', 'fullName username email mobileNumber'),
+      CartReminder.countDocuments(query),
+      CartReminder.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+
+    // ✅ Count per status for the queue tabs
+    const counts = Object.fromEntries(REMINDER_STATUSES.map(status => [status, 0]));
+    statusCounts.forEach(({ _id, count }) => { counts[_id] = count; });
+
+    res.json({
+      success: true,
+      data: {
+        reminders,
+        counts,
+        pagination: {
+          page,
+          pages: Math.ceil(total / limit),
+          limit,
+          total
+        }
+      }
+    });
+  } catch (err) {
+    console.error('Get cart reminders error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Run the abandoned cart job now (queue new reminders, send the queue)
+// @route   POST /api/admin/cart-reminders/run
+// @access  Private/Admin
+router.post('/cart-reminders/run', protect, admin, async (req, res) => {
+  try {
+    const result = await runAbandonedCartJob();
+    res.json({
+      success: true,
+      message: `${result.queued} reminders queued, ${result.sent} sent`,
+      data: result
+    });
+  } catch (err) {
+    console.error('Run cart reminders error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
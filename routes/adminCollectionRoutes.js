@@ -0,0 +1,205 @@
+// server/routes/adminCollectionRoutes.js
+const express = require('express');
+const mongoose = require('mongoose');
+const Collection = require('../models/Collection');
+const Product = require('../models/Product');
+const { protect, admin } = require('../middleware/auth');
+const { toList } = require('../utils/productQuery');
+const { slugify } = require('../utils/slug');
+
+const router = express.Router();
+
+// ✅ Helper: Check a list of product ids - returns an error message or null
+const validateProductIds = async (ids) => {
+  if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    return 'Invalid product id in collection';
+  }
+  const found = await Product.countDocuments({ _id: { $in: ids } });
+  return found === ids.length ? null : 'One or more products were not found';
+};
+
+// ✅ Helper: Pick the editable collection fields from a request body
+const pickCollectionFields = (body) => {
+  const data = {};
+  ['name', 'description', 'status', 'ruleSort'].forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  const slug = body.slug !== undefined ? slugify(body.slug) : '';
+  if (slug) {
+    data.slug = slug;
+  }
+  if (body.sortOrder !== undefined) {
+    data.sortOrder = Number(body.sortOrder) || 0;
+  }
+  if (body.maxProducts !== undefined) {
+    data.maxProducts = body.maxProducts === null || body.maxProducts === ''
+      ? null
+      : Number(body.maxProducts);
+  }
+  if (body.rules !== undefined) {
+    const rules = body.rules || {};
+    data.rules = {
+      brands: toList(rules.brands),
+      productTypes: toList(rules.productTypes),
+      genders: toList(rules.genders)
+    };
+  }
+  if (body.products !== undefined) {
+    // Keep the first position of any product listed twice
+    data.products = [...new Set(toList(body.products))];
+  }
+  return data;
+};
+
+const handleCollectionError = (res, err, label) => {
+  console.error(`${label} error:`, err);
+  if (err.code === 11000) {
+    return res.status(400).json({ success: false, message: 'A collection with this slug already exists' });
+  }
+  if (err.name === 'ValidationError') {
+    const errors = Object.values(err.errors).map(e => e.message);
+    return res.status(400).json({ success: false, message: errors[0], errors });
+  }
+  res.status(500).json({ success: false, message: 'Server error' });
+};
+
+// @desc    List all collections (Admin)
+// @route   GET /api/admin/collections
+// @access  Private/Admin
+router.get('/collections', protect, admin, async (req, res) => {
+  try {
+    const collections = await Collection.find().sort({ sortOrder: 1, name: 1 });
+    res.json({ success: true, data: collections });
+  } catch (err) {
+    console.error('Get collections error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Get a collection with its hand-picked products (Admin)
+// @route   GET /api/admin/collections/:id
+// @access  Private/Admin
+router.get('/collections/:id', protect, admin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Collection not found' });
+    }
+    const collection = await Collection.findById(req.params.id)
+      .populate('products', 'title brand modelNumber images status price');
+    if (!collection) {
+      return res.status(404).json({ success: false, message: 'Collection not found' });
+    }
+    res.json({ success: true, data: collection });
+  } catch (err) {
+    console.error('Get collection error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Create a collection
+// @route   POST /api/admin/collections
+// @body    name, slug?, description?, status?, sortOrder?, products? (ids in display order),
+//          rules? { brands, productTypes, genders }, ruleSort?, maxProducts?
+// @access  Private/Admin
+router.post('/collections', protect, admin, async (req, res) => {
+  try {
+    const data = pickCollectionFields(req.body);
+    if (data.products) {
+      const productError = await validateProductIds(data.products);
+      if (productError) {
+        return res.status(400).json({ success: false, message: productError });
+      }
+    }
+
+    const collection = await Collection.create(data);
+    res.status(201).json({ success: true, message: 'Collection created successfully', data: collection });
+  } catch (err) {
+    handleCollectionError(res, err, 'Create collection');
+  }
+});
+
+// @desc    Update a collection
+// @route   PUT /api/admin/collections/:id
+// @body    any field accepted by POST
+// @access  Private/Admin
+router.put('/collections/:id', protect, admin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Collection not found' });
+    }
+
+    const data = pickCollectionFields(req.body);
+    if (data.products) {
+      const productError = await validateProductIds(data.products);
+      if (productError) {
+        return res.status(400).json({ success: false, message: productError });
+      }
+    }
+
+    const collection = await Collection.findByIdAndUpdate(req.params.id, data, {
+      new: true,
+      runValidators: true
+    });
+    if (!collection) {
+      return res.status(404).json({ success: false, message: 'Collection not found' });
+    }
+    res.json({ success: true, message: 'Collection updated successfully', data: collection });
+  } catch (err) {
+    handleCollectionError(res, err, 'Update collection');
+  }
+});
+
+// @desc    Set the hand-picked products of a collection, in display order
+// @route   PUT /api/admin/collections/:id/products
+// @body    products: [productId, ...]
+// @access  Private/Admin
+router.put('/collections/:id/products', protect, admin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Collection not found' });
+    }
+    if (!Array.isArray(req.body.products)) {
+      return res.status(400).json({ success: false, message: 'Products must be an array of product ids' });
+    }
+
+    const { products } = pickCollectionFields({ products: req.body.products });
+    const productError = await validateProductIds(products);
+    if (productError) {
+      return res.status(400).json({ success: false, message: productError });
+    }
+
+    const collection = await Collection.findByIdAndUpdate(
+      req.params.id,
+      { products },
+      { new: true }
+    ).populate('products', 'title brand modelNumber images status price');
+    if (!collection) {
+      return res.status(404).json({ success: false, message: 'Collection not found' });
+    }
+    res.json({ success: true, message: 'Collection products updated', data: collection });
+  } catch (err) {
+    console.error('Update collection products error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Delete a collection (products are not touched)
+// @route   DELETE /api/admin/collections/:id
+// @access  Private/Admin
+router.delete('/collections/:id', protect, admin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Collection not found' });
+    }
+    const collection = await Collection.findByIdAndDelete(req.params.id);
+    if (!collection) {
+      return res.status(404).json({ success: false, message: 'Collection not found' });
+    }
+    res.json({ success: true, message: 'Collection deleted successfully' });
+  } catch (err) {
+    console.error('Delete collection error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,325 @@
+// server/routes/adminInventoryRoutes.js
+const express = require('express');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const InventoryMovement = require('../models/InventoryMovement');
+const StockAlert = require('../models/StockAlert');
+const { protect, admin } = require('../middleware/auth');
+const { parsePagination } = require('../utils/productQuery');
+const { adminActor, recordMovement, applyVariantChange } = require('../utils/inventoryLedger');
+
+const router = express.Router();
+
+const MOVEMENT_TYPES = ['sale', 'adjustment', 'return', 'restock', 'reservation', 'release'];
+// Movement types an admin may post by hand (the rest come from orders)
+const MANUAL_TYPES = ['adjustment', 'return', 'restock'];
+
+// @desc    Colors at or below their reorder threshold, out of stock, or untracked
+// @route   GET /api/admin/inventory/low-stock
+// @query   level (low_stock|out_of_stock|untracked), page, limit
+// @access  Private/Admin
+router.get('/inventory/low-stock', protect, admin, async (req, res) => {
+  try {
+    const { level } = req.query;
+    const { page, limit, skip } = parsePagination(req.query);
+    const defaultThreshold = Product.defaultLowStockThreshold();
+
+    const levelMatch = ['low_stock', 'out_of_stock', 'untracked'].includes(level)
+      ? { level }
+      : {};
+
+    const pipeline = [
+      { $match: { status: { $ne: 'archived' } } },
+      { $unwind: '$colors' },
+      {
+        $addFields: {
+          threshold: {
+            $ifNull: ['$colors.lowStockThreshold', { $ifNull: ['$lowStockThreshold', defaultThreshold] }]
+          }
+        }
+      },
+      {
+        $addFields: {
+          level: {
+            $switch: {
+              branches: [
+                { case: { $eq: [{ $ifNull: ['$colors.quantity', null] }, null] }, then: 'untracked' },
+                { case: { $lte: ['$colors.quantity', 0] }, then: 'out_of_stock' },
+                { case: { $lte: ['$colors.quantity', '$threshold'] }, then: 'low_stock' }
+              ],
+              default: 'ok'
+            }
+          }
+        }
+      },
+      { $match: { level: { $ne: 'ok' }, ...levelMatch } },
+      {
+        $project: {
+          _id: 0,
+          productId: '$_id',
+          title: 1,
+          brand: 1,
+          modelNumber: 1,
+          status: 1,
+          variantId: '$colors._id',
+          colorName: '$colors.name',
+          sku: '$colors.sku',
+          quantity: '$colors.quantity',
+          reserved: { $ifNull: ['$colors.reserved', 0] },
+          threshold: 1,
+          level: 1
+        }
+      },
+      { $sort: { quantity: 1, title: 1 } },
+      {
+        $facet: {
+          items: [{ $skip: skip }, { $limit: limit }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ];
+
+    const [result] = await Product.aggregate(pipeline);
+    const total = result.total[0]?.count || 0;
+
+    res.json({
+      success: true,
+      data: {
+        items: result.items,
+        pagination: {
+          page,
+          pages: Math.ceil(total / limit),
+          limit,
+          total
+        }
+      }
+    });
+  } catch (err) {
+    console.error('Get low stock error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    List low-stock alerts
+// @route   GET /api/admin/inventory/alerts
+// @query   status (open|acknowledged|resolved, default open), page, limit
+// @access  Private/Admin
+router.get('/inventory/alerts', protect, admin, async (req, res) => {
+  try {
+    const status = ['open', 'acknowledged', 'resolved'].includes(req.query.status)
+      ? req.query.status
+      : 'open';
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const [alerts, total] = await Promise.all([
+      StockAlert.find({ status })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('product', 'title brand modelNumber images status'),
+      StockAlert.countDocuments({ status })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        alerts,
+        pagination: {
+          page,
+          pages: Math.ceil(total / limit),
+          limit,
+          total
+        }
+      }
+    });
+  } catch (err) {
+    console.error('Get stock alerts error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Acknowledge or resolve a low-stock alert
+// @route   PUT /api/admin/inventory/alerts/:id
+// @access  Private/Admin
+router.put('/inventory/alerts/:id', protect, admin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Alert not found' });
+    }
+
+    const { status } = req.body;
+    if (!['acknowledged', 'resolved'].includes(status)) {
+      return res.status(400).json({ success: false, message: 'Invalid alert status' });
+    }
+
+    const alert = await StockAlert.findByIdAndUpdate(
+      req.params.id,
+      { status, resolvedAt: status === 'resolved' ? new Date() : null },
+      { new: true }
+    );
+    if (!alert) {
+      return res.status(404).json({ success: false, message: 'Alert not found' });
+    }
+
+    res.json({ success: true, message: 'Alert updated successfully', data: alert });
+  } catch (err) {
+    console.error('Update stock alert error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    List inventory movements for a product
+// @route   GET /api/admin/inventory/products/:id/movements
+// @query   variantId, type, page, limit
+// @access  Private/Admin
+router.get('/inventory/products/:id/movements', protect, admin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const product = await Product.findById(req.params.id).select('title brand modelNumber colors');
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const { variantId, type } = req.query;
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const query = { product: product._id };
+    if (variantId && mongoose.Types.ObjectId.isValid(variantId)) {
+      query.variantId = variantId;
+    }
+    if (type && MOVEMENT_TYPES.includes(type)) {
+      query.type = type;
+    }
+
+    const [movements, total] = await Promise.all([
+      InventoryMovement.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('order', 'status receiptStatus'),
+      InventoryMovement.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        product,
+        movements,
+        pagination: {
+          page,
+          pages: Math.ceil(total / limit),
+          limit,
+          total
+        }
+      }
+    });
+  } catch (err) {
+    console.error('Get inventory movements error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Post a manual stock adjustment for one product color
+// @route   POST /api/admin/inventory/products/:id/adjustments
+// @body    variantId, reason, type (adjustment|return|restock),
+//          and either change (+/- units) or quantity (new absolute count)
+// @access  Private/Admin
+router.post('/inventory/products/:id/adjustments', protect, admin, async (req, res) => {
+  try {
+    const { variantId, change, quantity, type = 'adjustment' } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!reason) {
+      return res.status(400).json({ success: false, message: 'A reason is required for stock adjustments' });
+    }
+    if (!MANUAL_TYPES.includes(type)) {
+      return res.status(400).json({ success: false, message: `Type must be one of: ${MANUAL_TYPES.join(', ')}` });
+    }
+
+    const hasChange = change !== undefined && change !== null && change !== '';
+    const hasQuantity = quantity !== undefined && quantity !== null && quantity !== '';
+    if (hasChange === hasQuantity) {
+      return res.status(400).json({ success: false, message: 'Provide either change or quantity' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+    const product = await Product.findById(req.params.id);
+    const variant = product && product.findVariant(variantId);
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+    if (!variant) {
+      return res.status(404).json({ success: false, message: 'Color not found on this product' });
+    }
+
+    const actor = adminActor(req.user);
+    let updated;
+
+    if (hasChange) {
+      const delta = Number(change);
+      if (!Number.isInteger(delta) || delta === 0) {
+        return res.status(400).json({ success: false, message: 'Change must be a non-zero whole number' });
+      }
+      if (variant.quantity === null || variant.quantity === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: 'Stock is not tracked for this color. Set an absolute quantity first.'
+        });
+      }
+
+      updated = await applyVariantChange({
+        productId: product._id,
+        variantId: variant._id,
+        guard: delta < 0 ? { quantity: { $gte: -delta } } : { quantity: { $ne: null } },
+        quantityChange: delta,
+        type,
+        reason,
+        actor
+      });
+      if (!updated) {
+        return res.status(400).json({ success: false, message: 'Not enough stock to remove that many units' });
+      }
+    } else {
+      const newQuantity = Number(quantity);
+      if (!Number.isInteger(newQuantity) || newQuantity < 0) {
+        return res.status(400).json({ success: false, message: 'Quantity must be a whole number of 0 or more' });
+      }
+
+      // Only apply if nobody changed this color since we read it
+      const previous = variant.quantity ?? null;
+      updated = await Product.findOneAndUpdate(
+        { _id: product._id, colors: { $elemMatch: { _id: variant._id, quantity: previous } } },
+        { $set: { 'colors.$.quantity': newQuantity } },
+        { new: true }
+      );
+      if (!updated) {
+        return res.status(400).json({ success: false, message: 'Stock changed while saving. Please try again.' });
+      }
+
+      await recordMovement({
+        product: updated,
+        variantId: variant._id,
+        type,
+        quantityChange: newQuantity - (previous || 0),
+        reason,
+        actor
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock adjusted successfully',
+      data: updated.findVariant(variant._id)
+    });
+  } catch (err) {
+    console.error('Stock adjustment error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -2,10 +2,38 @@
 const express = require('express');
 const Order = require('../models/Order');
 const Product = require('../models/Product'); // ✅ ADD PRODUCT MODEL
+const User = require('../models/User');
 const { protect, admin } = require('../middleware/auth');
+const { commitOrderStock, releaseOrderStock, restockOrder } = require('../utils/stockReservation');
+const { adminActor, applyVariantChange } = require('../utils/inventoryLedger');
+const { PRODUCT_LINK_FIELDS, presentOrder } = require('../utils/orderSnapshot');
+const {
+  ORDER_STATUSES,
+  RECEIPT_STATUSES,
+  planStatusChanges,
+  historyEntries
+} = require('../utils/orderStatus');
 
 const router = express.Router();
 
+// ✅ Helper: Admin order view - the status timeline names the admin behind each change
+const presentAdminOrder = async (order) => {
+  const data = presentOrder(order);
+  const adminIds = (data.statusHistory || [])
+    .filter(entry => entry.actorType === 'admin' && entry.actorId)
+    .map(entry => entry.actorId);
+  const admins = adminIds.length > 0
+    ? await User.find({ _id: { $in: adminIds } }).select('username')
+    : [];
+  const names = new Map(admins.map(user => [user._id.toString(), user.username]));
+
+  data.statusHistory = (data.statusHistory || []).map(entry => ({
+    ...entry,
+    actorName: entry.actorType === 'admin' && entry.actorId ? names.get(entry.actorId.toString()) || '' : ''
+  }));
+  return data;
+};
+
 // @desc    Get all orders (Admin)
 // @route   GET /api/admin/orders
 // @access  Private/Admin
@@ -14,9 +42,9 @@ router.get('/orders', protect, admin, async (req, res) => {
     const orders = await Order.find()
       .sort({ createdAt: -1 })
       .populate('customer', 'fullName username email mobileNumber')
-      .populate('items.productId', 'title brand images');
+      .populate('items.productId', PRODUCT_LINK_FIELDS);
     
-    res.json({ success: true,  orders });
+    res.json({ success: true, orders: orders.map(presentOrder) });
   } catch (err) {
     console.error('Get orders error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
@@ -30,23 +58,24 @@ router.get('/orders/:id', protect, admin, async (req, res) => {
   try {
     const order = await Order.findById(req.params.id)
       .populate('customer', 'fullName username email mobileNumber')
-      .populate('items.productId', 'title brand images');
+      .populate('items.productId', PRODUCT_LINK_FIELDS);
     
     if (!order) {
       return res.status(404).json({ success: false, message: 'Order not found' });
     }
     
-    res.json({ success: true,  order });
+    res.json({ success: true, order: await presentAdminOrder(order) });
   } catch (err) {
     console.error('Get order error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// ✅ HELPER FUNCTION: Reduce product stock quantities
-const reduceProductStock = async (items) => {
+// ✅ HELPER FUNCTION: Reduce product stock quantities per variant
+// (orders placed before stock reservations existed)
+const reduceProductStock = async (items, orderId, actor) => {
   const updatePromises = items.map(async (item) => {
-    if (!item.productId || !item.selectedColor || item.quantity <= 0) {
+    if (!item.productId || (!item.variantId && !item.selectedColor) || item.quantity <= 0) {
       return null;
     }
 
@@ -54,22 +83,27 @@ const reduceProductStock = async (items) => {
     const product = await Product.findById(item.productId);
     if (!product) return null;
 
-    // Find the color in the product's colors array
-    const colorIndex = product.colors.findIndex(
-      color => color.name === item.selectedColor
-    );
+    // Find the variant (older orders only have the color name)
+    const variant = product.findVariant(item.variantId, item.selectedColor);
 
-    if (colorIndex !== -1 && product.colors[colorIndex].quantity !== null) {
-      const newQuantity = Math.max(0, product.colors[colorIndex].quantity - item.quantity);
-      
-      // Update the specific color quantity
-      await Product.findByIdAndUpdate(
-        item.productId,
-        { [`colors.${colorIndex}.quantity`]: newQuantity },
-        { new: true }
-      );
+    if (variant && variant.quantity !== null) {
+      // Never go below zero - only take what is left
+      const taken = Math.min(variant.quantity, item.quantity);
+      if (taken <= 0) return null;
+
+      // Update the specific variant quantity and record the sale
+      await applyVariantChange({
+        productId: item.productId,
+        variantId: variant._id,
+        guard: { quantity: { $gte: taken } },
+        quantityChange: -taken,
+        type: 'sale',
+        reason: 'Payment verified',
+        order: orderId,
+        actor
+      });
       
-      console.log(`✅ Reduced stock for ${product.title} - ${item.selectedColor}: ${item.quantity} units`);
+      console.log(`✅ Reduced stock for ${product.title} - ${variant.name}: ${taken} units`);
     }
   });
 
@@ -78,46 +112,57 @@ const reduceProductStock = async (items) => {
 
 // @desc    Update order status (Admin)
 // @route   PUT /api/admin/orders/:id/status
+// @body    status, receiptStatus, adminNotes, note (shown in the order timeline)
 // @access  Private/Admin
 router.put('/orders/:id/status', protect, admin, async (req, res) => {
   try {
-    const { status, receiptStatus, adminNotes } = req.body;
-    const validStatuses = ['pending_payment', 'processing', 'confirmed', 'shipped', 'delivered', 'cancelled'];
-    const validReceiptStatuses = ['pending', 'verified', 'rejected'];
+    const { status, receiptStatus, adminNotes, note } = req.body;
     
-    if (status && !validStatuses.includes(status)) {
+    if (status && !ORDER_STATUSES.includes(status)) {
       return res.status(400).json({ success: false, message: 'Invalid status' });
     }
     
-    if (receiptStatus && !validReceiptStatuses.includes(receiptStatus)) {
+    if (receiptStatus && !RECEIPT_STATUSES.includes(receiptStatus)) {
       return res.status(400).json({ success: false, message: 'Invalid receipt status' });
     }
 
-    // Get current order to check if receipt status is changing to verified
+    // Get current order to check which transitions are being made
     const currentOrder = await Order.findById(req.params.id);
     if (!currentOrder) {
       return res.status(404).json({ success: false, message: 'Order not found' });
     }
 
-    const order = await Order.findByIdAndUpdate(
-      req.params.id,
-      { 
-        ...(status && { status }),
-        ...(receiptStatus && { receiptStatus }),
-        ...(adminNotes && { adminNotes })
-      },
+    // ✅ Only allowed transitions (e.g. no shipping before the receipt is verified)
+    const changes = planStatusChanges(currentOrder, { status, receiptStatus });
+
+    const update = { $set: { updatedAt: new Date() } };
+    changes.forEach(change => { update.$set[change.field] = change.to; });
+    if (adminNotes) update.$set.adminNotes = adminNotes;
+    if (changes.length > 0) {
+      update.$push = { statusHistory: { $each: historyEntries(changes, { actor: adminActor(req.user), note }) } };
+    }
+
+    // The status the transitions were checked against must still be current
+    const order = await Order.findOneAndUpdate(
+      { _id: req.params.id, status: currentOrder.status, receiptStatus: currentOrder.receiptStatus },
+      update,
       { new: true }
     ).populate('customer', 'fullName username email')
-     .populate('items.productId', 'title brand');
+     .populate('items.productId', PRODUCT_LINK_FIELDS);
     
     if (!order) {
-      return res.status(404).json({ success: false, message: 'Order not found' });
+      return res.status(409).json({ success: false, message: 'This order was just updated by someone else - reload it and try again' });
     }
 
     // ✅ REDUCE STOCK ONLY WHEN RECEIPT STATUS CHANGES TO VERIFIED
-    if (receiptStatus === 'verified' && currentOrder.receiptStatus !== 'verified') {
+    if (order.receiptStatus === 'verified' && currentOrder.receiptStatus !== 'verified') {
       try {
-        await reduceProductStock(order.items);
+        // Reserved orders already took their units at checkout - just convert the hold into a sale
+        const committed = await commitOrderStock(order._id, adminActor(req.user));
+        if (!committed && currentOrder.stockStatus !== 'committed') {
+          await reduceProductStock(currentOrder.items, order._id, adminActor(req.user));
+          await Order.updateOne({ _id: order._id }, { $set: { stockStatus: 'committed' } });
+        }
         console.log(`✅ Stock reduced for order ${order._id}`);
       } catch (stockError) {
         console.error('Stock reduction error:', stockError);
@@ -125,13 +170,34 @@ router.put('/orders/:id/status', protect, admin, async (req, res) => {
       }
     }
 
+    // ✅ RELEASE RESERVED STOCK WHEN THE ORDER IS CANCELLED OR THE RECEIPT IS REJECTED
+    if (
+      (order.status === 'cancelled' && currentOrder.status !== 'cancelled') ||
+      (order.receiptStatus === 'rejected' && currentOrder.receiptStatus !== 'rejected')
+    ) {
+      try {
+        if (await releaseOrderStock(order._id, 'released', adminActor(req.user))) {
+          console.log(`↩️ Reserved stock released for order ${order._id}`);
+        }
+        // Already sold (receipt verified) - the units go back on the shelf
+        if (order.status === 'cancelled' && await restockOrder(order._id, adminActor(req.user))) {
+          console.log(`↩️ Stock returned for cancelled order ${order._id}`);
+        }
+      } catch (stockError) {
+        console.error('Stock release error:', stockError);
+      }
+    }
+
     res.json({ 
       success: true, 
       message: 'Order updated successfully',
-       order 
+      order: await presentAdminOrder(order)
     });
 
   } catch (err) {
+    if (err.code === 'ORDER_TRANSITION_INVALID') {
+      return res.status(400).json({ success: false, message: err.message });
+    }
     console.error('Update order error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
   }
@@ -0,0 +1,115 @@
+// server/routes/adminReviewRoutes.js
+const express = require('express');
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const { protect, admin } = require('../middleware/auth');
+const { parsePagination } = require('../utils/productQuery');
+const { refreshProductRating } = require('../utils/reviews');
+
+const router = express.Router();
+
+// @desc    List reviews for moderation
+// @route   GET /api/admin/reviews
+// @query   status (pending|approved|hidden, default pending), productId, page, limit
+// @access  Private/Admin
+router.get('/reviews', protect, admin, async (req, res) => {
+  try {
+    const status = ['pending', 'approved', 'hidden'].includes(req.query.status)
+      ? req.query.status
+      : 'pending';
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const query = { status };
+    if (req.query.productId && mongoose.Types.ObjectId.isValid(req.query.productId)) {
+      query.product = req.query.productId;
+    }
+
+    const [reviews, total] = await Promise.all([
+      Review.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('product', 'title brand modelNumber images')
+        .populate('customer', 'fullName username email'),
+      Review.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        reviews,
+        pagination: {
+          page,
+          pages: Math.ceil(total / limit),
+          limit,
+          total
+        }
+      }
+    });
+  } catch (err) {
+    console.error('Get reviews error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Approve or hide a review
+// @route   PUT /api/admin/reviews/:id/status
+// @body    status (approved|hidden)
+// @access  Private/Admin
+router.put('/reviews/:id/status', protect, admin, async (req, res) => {
+  try {
+    const { status } = req.body;
+    if (!['approved', 'hidden'].includes(status)) {
+      return res.status(400).json({ success: false, message: 'Invalid review status' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Review not found' });
+    }
+
+    const review = await Review.findByIdAndUpdate(req.params.id, { status }, { new: true });
+    if (!review) {
+      return res.status(404).json({ success: false, message: 'Review not found' });
+    }
+
+    // ✅ Keep the product's average rating and count in step
+    await refreshProductRating(review.product);
+
+    res.json({ success: true, message: 'Review updated successfully', data: review });
+  } catch (err) {
+    console.error('Update review status error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Reply to a review (an empty reply removes it)
+// @route   PUT /api/admin/reviews/:id/reply
+// @body    reply
+// @access  Private/Admin
+router.put('/reviews/:id/reply', protect, admin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Review not found' });
+    }
+    const text = typeof req.body.reply === 'string' ? req.body.reply.trim() : '';
+
+    const review = await Review.findByIdAndUpdate(
+      req.params.id,
+      { adminReply: { text, repliedAt: text ? new Date() : null } },
+      { new: true, runValidators: true }
+    );
+    if (!review) {
+      return res.status(404).json({ success: false, message: 'Review not found' });
+    }
+
+    res.json({ success: true, message: text ? 'Reply saved' : 'Reply removed', data: review });
+  } catch (err) {
+    console.error('Reply to review error:', err);
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map(e => e.message);
+      return res.status(400).json({ success: false, message: errors[0], errors });
+    }
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,10 @@
 // server/routes/adminRoutes.js
 const express = require('express');
+const mongoose = require('mongoose');
 const Customer = require('../models/Customer');
 const { protect, admin } = require('../middleware/auth');
+const mediaStorage = require('../utils/storage');
+const { parsePagination } = require('../utils/productQuery');
 
 const router = express.Router();
 
@@ -119,6 +122,144 @@ router.put('/customers/:id/status', protect, admin, async (req, res) => {
   }
 });
 
+// @desc    Business verification review queue (Admin only)
+// @route   GET /api/admin/business-verifications
+// @query   status (pending|approved|rejected, default pending), page, limit
+// @access  Private/Admin
+router.get('/business-verifications', protect, admin, async (req, res) => {
+  try {
+    const status = ['pending', 'approved', 'rejected'].includes(req.query.status)
+      ? req.query.status
+      : 'pending';
+    const { page, limit, skip } = parsePagination(req.query);
+    const query = { 'businessVerification.status': status };
+
+    const [customers, total] = await Promise.all([
+      Customer.find(query)
+        .select('fullName username email mobileNumber businessDetails businessVerification')
+        // Oldest submissions first so nobody waits at the back of the queue
+        .sort({ 'businessVerification.submittedAt': 1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Customer.countDocuments(query)
+    ]);
+
+    // ✅ Documents link to the admin-only download route (they have no public URL)
+    customers.forEach(customer => {
+      customer.businessVerification.documents = customer.businessVerification.documents.map(doc => ({
+        type: doc.type,
+        originalName: doc.originalName,
+        uploadedAt: doc.uploadedAt,
+        url: `/api/admin/customers/${customer._id}/business-documents/${doc.type}`
+      }));
+    });
+
+    res.json({
+      success: true,
+      data: {
+        customers,
+        pagination: {
+          page,
+          pages: Math.ceil(total / limit),
+          limit,
+          total
+        }
+      }
+    });
+  } catch (err) {
+    console.error('Get business verifications error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Download a business verification document (Admin only)
+// @route   GET /api/admin/customers/:id/business-documents/:type
+// @access  Private/Admin
+router.get('/customers/:id/business-documents/:type', protect, admin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Document not found' });
+    }
+
+    const customer = await Customer.findById(req.params.id).select('businessVerification.documents').lean();
+    const doc = (customer?.businessVerification?.documents || []).find(d => d.type === req.params.type);
+    const filePath = doc ? mediaStorage.getDocumentPath(doc.key) : null;
+    if (!filePath) {
+      return res.status(404).json({ success: false, message: 'Document not found' });
+    }
+
+    res.sendFile(filePath, { headers: { 'Cache-Control': 'private, no-store' } }, (err) => {
+      if (!err) return;
+      if (res.headersSent) {
+        console.error('Send business document error:', err);
+        return;
+      }
+      if (err.code === 'ENOENT') {
+        return res.status(404).json({ success: false, message: 'Document not found' });
+      }
+      console.error('Send business document error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    });
+  } catch (err) {
+    console.error('Get business document error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Approve or reject a business verification (Admin only)
+// @route   PUT /api/admin/customers/:id/business-verification
+// @body    status (approved|rejected), reason (required when rejecting)
+// @access  Private/Admin
+router.put('/customers/:id/business-verification', protect, admin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Customer not found' });
+    }
+
+    const { status } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!['approved', 'rejected'].includes(status)) {
+      return res.status(400).json({ success: false, message: 'Invalid verification status' });
+    }
+    if (status === 'rejected' && !reason) {
+      return res.status(400).json({ success: false, message: 'A reason is required when rejecting' });
+    }
+
+    // Only submissions waiting for review can be decided (approved accounts can still be revoked)
+    const allowedFrom = status === 'rejected' ? ['pending', 'approved'] : ['pending'];
+    const customer = await Customer.findOneAndUpdate(
+      { _id: req.params.id, 'businessVerification.status': { $in: allowedFrom } },
+      {
+        $set: {
+          'businessVerification.status': status,
+          'businessVerification.reviewedAt': new Date(),
+          'businessVerification.reviewedBy': req.user.id,
+          'businessVerification.rejectionReason': status === 'rejected' ? reason : ''
+        }
+      },
+      { new: true, select: '-password' }
+    );
+
+    if (!customer) {
+      const exists = await Customer.exists({ _id: req.params.id });
+      return exists
+        ? res.status(400).json({ success: false, message: 'This account has no business verification awaiting review' })
+        : res.status(404).json({ success: false, message: 'Customer not found' });
+    }
+
+    res.json({
+      success: true,
+      message: status === 'approved' ? 'Business account verified' : 'Business verification rejected',
+      data: customer
+    });
+  } catch (err) {
+    console.error('Review business verification error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 // @desc    Delete customer account (Admin only)
 // @route   DELETE /api/admin/customers/:id
 // @access  Private/Admin
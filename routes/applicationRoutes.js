@@ -4,20 +4,13 @@ const multer = require('multer');
 const path = require('path');
 const mongoose = require('mongoose');
 const Application = require('../models/Application');
+const mediaStorage = require('../utils/storage');
 
 // ✅ MUST DECLARE ROUTER BEFORE USING IT
 const router = express.Router(); // ← This line was missing or in wrong place!
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'uploads/cvs/');
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
+// Configure multer for file uploads (kept in memory, then handed to the storage driver)
+const storage = multer.memoryStorage();
 
 const upload = multer({
   storage: storage,
@@ -46,6 +39,7 @@ const generateApplicationCode = () => {
 // @route   POST /api/applications
 // @access  Public
 router.post('/', upload.single('cvFile'), async (req, res) => {
+  let storedCvKey = null;
   try {
     const {
       positionId: rawPositionId,
@@ -133,7 +127,14 @@ router.post('/', upload.single('cvFile'), async (req, res) => {
     };
 
     if (req.file) {
-      applicationData.cvFilePath = req.file.path;
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      const stored = await mediaStorage.put(req.file, {
+        folder: 'cvs',
+        private: true,
+        filename: req.file.fieldname + '-' + uniqueSuffix + path.extname(req.file.originalname)
+      });
+      storedCvKey = stored.key;
+      applicationData.cvFilePath = stored.key;
     }
 
     const application = new Application(applicationData);
@@ -151,11 +152,8 @@ router.post('/', upload.single('cvFile'), async (req, res) => {
   } catch (err) {
     console.error('Application submission error:', err);
     
-    if (req.file) {
-      const fs = require('fs');
-      if (fs.existsSync(req.file.path)) {
-        fs.unlinkSync(req.file.path);
-      }
+    if (storedCvKey) {
+      await mediaStorage.remove(storedCvKey);
     }
     
     res.status(500).json({ 
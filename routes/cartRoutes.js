@@ -1,21 +1,20 @@
 // server/routes/cartRoutes.js
 const express = require('express');
-const mongoose = require('mongoose'); // ✅ ADD THIS MISSING IMPORT
 const Customer = require('../models/Customer');
-const Product = require('../models/Product');
 const { customerAuth } = require('../middleware/customerAuth');
+const { addItemToCart, updateCartItem, removeCartItem, customerCartResponse } = require('../utils/cart');
 
 const router = express.Router();
 
-// @desc    Get customer cart
+// @desc    Get customer cart (priced and checked on the server)
 // @route   GET /api/cart
 // @access  Private
 router.get('/', customerAuth, async (req, res) => {
   try {
-    const customer = await Customer.findById(req.user.id).populate('cart.productId');
-    // Ensure cart exists
-    const cart = customer.cart || [];
-    res.json({ success: true, cart });
+    const customer = await Customer.findById(req.user.id);
+    // ✅ Each line carries the unit price this customer pays (trade tier if they have one),
+    // its line total and any warnings (product gone, color gone, not enough stock)
+    res.json({ success: true, ...(await customerCartResponse(customer)) });
   } catch (err) {
     console.error('Get cart error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
@@ -27,59 +26,24 @@ router.get('/', customerAuth, async (req, res) => {
 // @access  Private
 router.post('/', customerAuth, async (req, res) => {
   try {
-    const { productId, selectedColor, quantity = 1 } = req.body;
-    
-    // Validate input
-    if (!productId || !selectedColor) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Product ID and color are required' 
-      });
-    }
-    
-    // Validate product
-    const product = await Product.findOne({ _id: productId, status: 'active' });
-    if (!product) {
-      return res.status(404).json({ success: false, message: 'Product not found' });
-    }
-    
     const customerId = req.user.id;
     const customer = await Customer.findById(customerId);
-    
-    // ✅ ENSURE CART EXISTS
-    if (!customer.cart) {
-      customer.cart = [];
-    }
-    
-    // Check if item exists
-    const existingItemIndex = customer.cart.findIndex(
-      item => 
-        item.productId && 
-        item.productId.toString() === productId.toString() && 
-        item.selectedColor === selectedColor
-    );
-    
-    if (existingItemIndex > -1) {
-      customer.cart[existingItemIndex].quantity += quantity;
-    } else {
-      // ✅ Use mongoose.Types.ObjectId properly
-      customer.cart.push({ 
-        productId: new mongoose.Types.ObjectId(productId), 
-        selectedColor, 
-        quantity 
-      });
-    }
+
+    // ✅ Validates the product and color, then adds or merges the line
+    await addItemToCart(customer, req.body);
     
     await customer.save();
-    await customer.populate('cart.productId');
     
     res.json({ 
       success: true, 
       message: 'Item added to cart', 
-      cart: customer.cart 
+      ...(await customerCartResponse(customer))
     });
     
   } catch (err) {
+    if (err.code === 'CART_ITEM_INVALID') {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
     console.error('Add to cart detailed error:', err); // 🔍 Detailed logging
     res.status(500).json({ success: false, message: 'Server error' });
   }
@@ -90,37 +54,18 @@ router.post('/', customerAuth, async (req, res) => {
 // @access  Private
 router.put('/:itemId', customerAuth, async (req, res) => {
   try {
-    const { quantity, selectedColor } = req.body;
-    const customerId = req.user.id;
-    const itemId = req.params.itemId;
-    
-    const customer = await Customer.findById(customerId);
-    
-    // ✅ ENSURE CART EXISTS
-    if (!customer.cart) {
-      customer.cart = [];
-    }
-    
-    const itemIndex = customer.cart.findIndex(item => 
-      item._id && item._id.toString() === itemId
-    );
-    
-    if (itemIndex === -1) {
-      return res.status(404).json({ success: false, message: 'Cart item not found' });
-    }
-    
-    if (quantity !== undefined) {
-      customer.cart[itemIndex].quantity = Math.max(1, quantity);
-    }
-    if (selectedColor !== undefined) {
-      customer.cart[itemIndex].selectedColor = selectedColor;
-    }
+    const customer = await Customer.findById(req.user.id);
+
+    // ✅ Quantity must be a whole number and the line must stay on an available color
+    await updateCartItem(customer, req.params.itemId, req.body);
     
     await customer.save();
-    await customer.populate('cart.productId');
     
-    res.json({ success: true, cart: customer.cart });
+    res.json({ success: true, ...(await customerCartResponse(customer)) });
   } catch (err) {
+    if (err.code === 'CART_ITEM_INVALID') {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
     console.error('Update cart error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
   }
@@ -131,28 +76,16 @@ router.put('/:itemId', customerAuth, async (req, res) => {
 // @access  Private
 router.delete('/:itemId', customerAuth, async (req, res) => {
   try {
-    const customerId = req.user.id;
-    const itemId = req.params.itemId;
-    
-    const customer = await Customer.findById(customerId);
-    
-    // ✅ ENSURE CART EXISTS
-    if (!customer.cart) {
-      customer.cart = [];
-    }
-    
-    const initialLength = customer.cart.length;
-    customer.cart = customer.cart.filter(item => 
-      !item._id || item._id.toString() !== itemId
-    );
+    const customer = await Customer.findById(req.user.id);
     
-    if (customer.cart.length === initialLength) {
-      return res.status(404).json({ success: false, message: 'Cart item not found' });
-    }
+    removeCartItem(customer, req.params.itemId);
     
     await customer.save();
     res.json({ success: true, message: 'Item removed from cart' });
   } catch (err) {
+    if (err.code === 'CART_ITEM_INVALID') {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
     console.error('Remove cart error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
   }
@@ -0,0 +1,64 @@
+// server/routes/collectionRoutes.js
+const express = require('express');
+const Collection = require('../models/Collection');
+const { parsePagination } = require('../utils/productQuery');
+const { getCollectionProducts } = require('../utils/collections');
+
+const router = express.Router();
+
+// @desc    List active collections (public)
+// @route   GET /api/collections
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const collections = await Collection.find({ status: 'active' })
+      .select('name slug description sortOrder')
+      .sort({ sortOrder: 1, name: 1 });
+
+    res.json({ success: true, collections });
+  } catch (err) {
+    console.error('Fetch collections error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Get a collection and one page of its products (public)
+// @route   GET /api/collections/:slug
+// @query   page, limit
+// @access  Public
+router.get('/:slug', async (req, res) => {
+  try {
+    const collection = await Collection.findOne({
+      slug: String(req.params.slug).toLowerCase(),
+      status: 'active'
+    });
+    if (!collection) {
+      return res.status(404).json({ success: false, message: 'Collection not found' });
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const { products, total } = await getCollectionProducts(collection, { skip, limit });
+
+    res.json({
+      success: true,
+      collection: {
+        _id: collection._id,
+        name: collection.name,
+        slug: collection.slug,
+        description: collection.description
+      },
+      products,
+      pagination: {
+        page,
+        pages: Math.ceil(total / limit),
+        limit,
+        total
+      }
+    });
+  } catch (err) {
+    console.error('Fetch collection error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
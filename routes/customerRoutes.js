@@ -1,8 +1,13 @@
 // server/routes/customerRoutes.js
 const express = require('express');
+const multer = require('multer');
+const path = require('path');
 const Customer = require('../models/Customer');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
+const mediaStorage = require('../utils/storage');
+const { TRADE_BUSINESS_TYPES, priceTierFor } = require('../utils/pricing');
+const { getGuestCartToken, mergeGuestCart } = require('../utils/cart');
 
 // ✅ IMPORT CUSTOMER AUTH MIDDLEWARE
 const { customerAuth } = require('../middleware/customerAuth');
@@ -21,6 +26,67 @@ const validateRegistration = [
   body('email').optional().isEmail().withMessage('Invalid email')
 ];
 
+// ✅ Business verification documents (kept in memory, then handed to the storage driver)
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const validTypes = /jpeg|jpg|png|pdf/;
+    const extname = validTypes.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = validTypes.test(file.mimetype);
+    if (extname && mimetype) {
+      return cb(null, true);
+    }
+    cb(new Error('Only JPG, PNG and PDF documents are allowed'));
+  }
+});
+
+// Upload problems (wrong type, too large) are the customer's to fix - answer 400 JSON
+const handleDocumentUploadError = (err, req, res, next) => {
+  if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+    return res.status(400).json({ success: false, message: 'File too large. Maximum file size is 5MB.' });
+  }
+  if (err.message === 'Only JPG, PNG and PDF documents are allowed' || err instanceof multer.MulterError) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+  console.error('Document upload error:', err);
+  res.status(500).json({ success: false, message: 'Server error' });
+};
+
+const verificationFields = [
+  { name: 'businessRegistration', maxCount: 1 },
+  { name: 'shopPhoto', maxCount: 1 }
+];
+
+// Customer-facing view of the verification (storage keys stay private)
+const presentVerification = (customer) => {
+  const verification = customer.businessVerification || {};
+  return {
+    status: verification.status || 'none',
+    businessType: customer.businessDetails?.businessType || null,
+    documents: (verification.documents || []).map(doc => ({
+      type: doc.type,
+      originalName: doc.originalName,
+      uploadedAt: doc.uploadedAt
+    })),
+    submittedAt: verification.submittedAt || null,
+    reviewedAt: verification.reviewedAt || null,
+    rejectionReason: verification.status === 'rejected' ? verification.rejectionReason : '',
+    priceTier: priceTierFor(customer)
+  };
+};
+
+// ✅ Helper: Move the shopper's guest cart (if any) into their account.
+// A failed merge must not block login, so errors are only logged.
+const mergeGuestCartOnAuth = async (req, customer) => {
+  try {
+    return await mergeGuestCart(customer, getGuestCartToken(req));
+  } catch (err) {
+    console.error('Guest cart merge error:', err);
+    return 0;
+  }
+};
+
 const validateLogin = [
   body('username').notEmpty().withMessage('Username is required'),
   body('password').notEmpty().withMessage('Password is required')
@@ -82,6 +148,9 @@ router.post('/register', validateRegistration, async (req, res) => {
 
     const customer = await Customer.create(customerData);
 
+    // ✅ Keep whatever they put in the cart before registering
+    const mergedCartItems = await mergeGuestCartOnAuth(req, customer);
+
     // Generate JWT token (without password)
     const payload = {
       id: customer._id,
@@ -102,8 +171,10 @@ router.post('/register', validateRegistration, async (req, res) => {
           _id: customer._id,
           fullName: customer.fullName,
           username: customer.username,
-          businessDetails: customer.businessDetails
-        }
+          businessDetails: customer.businessDetails,
+          businessVerificationStatus: customer.businessVerification?.status || 'none'
+        },
+        mergedCartItems
       }
     });
 
@@ -164,6 +235,9 @@ router.post('/login', validateLogin, async (req, res) => {
       });
     }
 
+    // ✅ Bring over the cart they built while logged out
+    const mergedCartItems = await mergeGuestCartOnAuth(req, customer);
+
     // Generate JWT token
     const payload = {
       id: customer._id,
@@ -185,9 +259,11 @@ router.post('/login', validateLogin, async (req, res) => {
           fullName: customer.fullName,
           username: customer.username,
           businessDetails: customer.businessDetails,
+          businessVerificationStatus: customer.businessVerification?.status || 'none',
           country: customer.country,
           province: customer.province
-        }
+        },
+        mergedCartItems
       }
     });
 
@@ -230,16 +306,33 @@ router.get('/profile', customerAuth, async (req, res) => {
 
 // @desc    Update customer profile (optional fields)
 // @route   PUT /api/customers/profile
+// @body    city, address, businessDetails, notificationPreferences { cartReminders }
 // @access  Private
 // ✅ ADD customerAuth MIDDLEWARE
 router.put('/profile', customerAuth, async (req, res) => {
   try {
-    const { city, address, businessDetails } = req.body;
+    const { city, address, businessDetails, notificationPreferences } = req.body;
     
     const updateData = {};
     if (city !== undefined) updateData.city = city;
     if (address !== undefined) updateData.address = address;
-    if (businessDetails) updateData.businessDetails = businessDetails;
+    // ✅ Opt in/out of abandoned cart reminders
+    if (typeof notificationPreferences?.cartReminders === 'boolean') {
+      updateData['notificationPreferences.cartReminders'] = notificationPreferences.cartReminders;
+    }
+    if (businessDetails) {
+      updateData.businessDetails = businessDetails;
+
+      // ✅ An approved account that changes its business type has to be verified again
+      const current = await Customer.findById(req.user.id).select('businessDetails businessVerification');
+      if (
+        current &&
+        current.businessVerification?.status === 'approved' &&
+        businessDetails.businessType !== current.businessDetails?.businessType
+      ) {
+        updateData['businessVerification.status'] = 'none';
+      }
+    }
 
     // ✅ req.user.id is now available
     const customer = await Customer.findByIdAndUpdate(
@@ -269,4 +362,104 @@ router.put('/profile', customerAuth, async (req, res) => {
   }
 });
 
+// @desc    Business verification status of the logged-in customer
+// @route   GET /api/customers/business-verification
+// @access  Private
+router.get('/business-verification', customerAuth, async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.user.id).select('businessDetails businessVerification');
+    if (!customer) {
+      return res.status(404).json({ success: false, message: 'Customer not found' });
+    }
+    res.json({ success: true, data: presentVerification(customer) });
+  } catch (err) {
+    console.error('Business verification fetch error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Submit business documents for verification (or resubmit after a rejection)
+// @route   POST /api/customers/business-verification
+// @body    multipart: businessRegistration (required), shopPhoto (required when hasWatchShop)
+// @access  Private
+router.post(
+  '/business-verification',
+  customerAuth,
+  documentUpload.fields(verificationFields),
+  handleDocumentUploadError,
+  async (req, res) => {
+    const storedKeys = [];
+    try {
+      const customer = await Customer.findById(req.user.id);
+      if (!customer) {
+        return res.status(404).json({ success: false, message: 'Customer not found' });
+      }
+
+      const status = customer.businessVerification?.status || 'none';
+      if (status === 'pending') {
+        return res.status(400).json({ success: false, message: 'Your business verification is already under review' });
+      }
+      if (status === 'approved') {
+        return res.status(400).json({ success: false, message: 'Your business account is already verified' });
+      }
+
+      if (!TRADE_BUSINESS_TYPES.includes(customer.businessDetails?.businessType)) {
+        return res.status(400).json({
+          success: false,
+          message: `Set your business type (${TRADE_BUSINESS_TYPES.join(', ')}) in your profile first`
+        });
+      }
+
+      const registration = req.files?.businessRegistration?.[0];
+      const shopPhoto = req.files?.shopPhoto?.[0];
+      if (!registration) {
+        return res.status(400).json({ success: false, message: 'Business registration document is required' });
+      }
+      if (customer.businessDetails?.hasWatchShop && !shopPhoto) {
+        return res.status(400).json({ success: false, message: 'A photo of your shop is required' });
+      }
+
+      const documents = [];
+      for (const [type, file] of [['business_registration', registration], ['shop_photo', shopPhoto]]) {
+        if (!file) continue;
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+        const stored = await mediaStorage.put(file, {
+          folder: 'business-documents',
+          restricted: true,
+          filename: type + '-' + customer._id + '-' + uniqueSuffix + path.extname(file.originalname)
+        });
+        storedKeys.push(stored.key);
+        documents.push({ type, key: stored.key, originalName: file.originalname });
+      }
+
+      const previousKeys = (customer.businessVerification?.documents || []).map(doc => doc.key);
+      customer.businessVerification = {
+        status: 'pending',
+        documents,
+        submittedAt: new Date(),
+        reviewedAt: null,
+        reviewedBy: null,
+        rejectionReason: ''
+      };
+      await customer.save();
+
+      // Documents from a rejected submission are no longer needed
+      await mediaStorage.remove(previousKeys);
+
+      res.status(201).json({
+        success: true,
+        message: 'Documents submitted. We will review your business account shortly.',
+        data: presentVerification(customer)
+      });
+    } catch (err) {
+      console.error('Business verification submit error:', err);
+      await mediaStorage.remove(storedKeys);
+      if (err.message && err.message.includes('Media upload failed')) {
+        return res.status(500).json({ success: false, message: 'Failed to upload documents' });
+      }
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
 module.exports = router;
\ No newline at end of file
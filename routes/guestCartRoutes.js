@@ -0,0 +1,123 @@
+// server/routes/guestCartRoutes.js
+// ✅ Cart for shoppers who are not logged in. The storefront keeps the token returned by
+// POST /api/guest-cart and sends it in the X-Cart-Token header; the lines move into the
+// customer's cart on login or registration.
+const express = require('express');
+const GuestCart = require('../models/GuestCart');
+const {
+  getGuestCartToken,
+  addItemToCart,
+  updateCartItem,
+  removeCartItem,
+  summarizeCart
+} = require('../utils/cart');
+
+const router = express.Router();
+
+// ✅ Helper: Guest cart lines priced at retail, with line totals, warnings and the subtotal
+const cartResponse = async (guestCart) => {
+  await guestCart.populate('cart.productId');
+  const { items, subtotal, itemCount, hasWarnings } = await summarizeCart(guestCart.cart, null);
+  return { cartToken: guestCart.token, cart: items, summary: { subtotal, itemCount, hasWarnings } };
+};
+
+const findGuestCart = (req) => {
+  const token = getGuestCartToken(req);
+  return token ? GuestCart.findOne({ token }) : null;
+};
+
+const emptyCart = { cartToken: null, cart: [], summary: { subtotal: 0, itemCount: 0, hasWarnings: false } };
+
+// @desc    Get guest cart
+// @route   GET /api/guest-cart
+// @access  Public (X-Cart-Token)
+router.get('/', async (req, res) => {
+  try {
+    const guestCart = await findGuestCart(req);
+    // Unknown or expired token - the storefront starts over with an empty cart
+    if (!guestCart) {
+      return res.json({ success: true, ...emptyCart });
+    }
+    res.json({ success: true, ...(await cartResponse(guestCart)) });
+  } catch (err) {
+    console.error('Get guest cart error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Add item to guest cart (creates the cart when no valid token is sent)
+// @route   POST /api/guest-cart
+// @body    productId, variantId or selectedColor, quantity
+// @access  Public (X-Cart-Token)
+router.post('/', async (req, res) => {
+  try {
+    const guestCart = (await findGuestCart(req)) || new GuestCart();
+
+    // ✅ Validates product, color and quantity (whole number of at least 1) before anything is stored
+    await addItemToCart(guestCart, req.body);
+
+    await guestCart.save();
+
+    res.json({
+      success: true,
+      message: 'Item added to cart',
+      ...(await cartResponse(guestCart))
+    });
+  } catch (err) {
+    if (err.code === 'CART_ITEM_INVALID') {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Add to guest cart error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Update guest cart item
+// @route   PUT /api/guest-cart/:itemId
+// @body    quantity, variantId or selectedColor
+// @access  Public (X-Cart-Token)
+router.put('/:itemId', async (req, res) => {
+  try {
+    const guestCart = await findGuestCart(req);
+    if (!guestCart) {
+      return res.status(404).json({ success: false, message: 'Cart not found' });
+    }
+
+    await updateCartItem(guestCart, req.params.itemId, req.body);
+
+    await guestCart.save();
+
+    res.json({ success: true, ...(await cartResponse(guestCart)) });
+  } catch (err) {
+    if (err.code === 'CART_ITEM_INVALID') {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Update guest cart error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Remove item from guest cart
+// @route   DELETE /api/guest-cart/:itemId
+// @access  Public (X-Cart-Token)
+router.delete('/:itemId', async (req, res) => {
+  try {
+    const guestCart = await findGuestCart(req);
+    if (!guestCart) {
+      return res.status(404).json({ success: false, message: 'Cart not found' });
+    }
+
+    removeCartItem(guestCart, req.params.itemId);
+
+    await guestCart.save();
+    res.json({ success: true, message: 'Item removed from cart' });
+  } catch (err) {
+    if (err.code === 'CART_ITEM_INVALID') {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Remove guest cart error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,24 +1,27 @@
 // server/routes/orderRoutes.js
 const express = require('express');
+const mongoose = require('mongoose');
 const multer = require('multer');
 const path = require('path');
 const Order = require('../models/Order');
 const Customer = require('../models/Customer');
+const {
+  getReservationExpiry,
+  reserveOrderStock,
+  rollbackReservation,
+  releaseOrderStock
+} = require('../utils/stockReservation');
+const { customerActor } = require('../utils/inventoryLedger');
+const { parseRequestedItems, buildOrderItems } = require('../utils/checkout');
+const { PRODUCT_LINK_FIELDS, presentOrder } = require('../utils/orderSnapshot');
+const { planStatusChanges, historyEntries, presentStatusHistory } = require('../utils/orderStatus');
 const { protect } = require('../middleware/auth');
+const mediaStorage = require('../utils/storage');
 
 const router = express.Router();
 
-// Configure multer for receipt uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'uploads/receipts/');
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const userId = req.user?.id || 'unknown';
-    cb(null, 'receipt-' + userId + '-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
+// Configure multer for receipt uploads (kept in memory, then handed to the storage driver)
+const storage = multer.memoryStorage();
 
 const upload = multer({
   storage: storage,
@@ -34,45 +37,102 @@ const upload = multer({
   }
 });
 
+// ✅ Order as customers see it - the status timeline leaves out which staff member made each change
+const presentCustomerOrder = (order) => ({
+  ...presentOrder(order),
+  statusHistory: presentStatusHistory(order.statusHistory)
+});
+
 // @desc    Create new order with bank transfer
 // @route   POST /api/orders
+// @body    multipart: receipt (required), items (optional JSON [{ productId, variantId or selectedColor, quantity }])
+//          Without items the customer's cart is ordered. Prices and totals always come from the server.
 // @access  Private/Customer
 router.post('/', protect, upload.single('receipt'), async (req, res) => {
   try {
-    // ✅ PARSE ITEMS FROM STRING TO JSON
-    let items;
-    try {
-      items = JSON.parse(req.body.items);
-    } catch (parseError) {
-      console.error('Items parsing error:', parseError);
-      return res.status(400).json({ success: false, message: 'Invalid items format' });
+    const customerId = req.user.id;
+
+    // ✅ Only product, color and quantity are taken from the request
+    const requestedItems = parseRequestedItems(req.body);
+
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'Receipt is required' });
     }
 
-    const totalAmount = parseFloat(req.body.totalAmount);
-    const customerId = req.user.id;
+    const customer = await Customer.findById(customerId).select('cart businessDetails businessVerification');
+    if (!customer) {
+      return res.status(404).json({ success: false, message: 'Customer not found' });
+    }
 
-    if (!items || items.length === 0) {
+    const fromCart = requestedItems === null;
+    const lines = fromCart ? customer.cart : requestedItems;
+    if (!lines || lines.length === 0) {
       return res.status(400).json({ success: false, message: 'No items in order' });
     }
 
-    if (!req.file) {
-      return res.status(400).json({ success: false, message: 'Receipt is required' });
+    // ✅ Active products and existing colors only, priced for this customer (trade tier if any)
+    const { items: orderItems, totalAmount } = await buildOrderItems(lines, customer);
+
+    // ✅ Hold the stock while the bank transfer is verified (rejects if not enough left)
+    const orderId = new mongoose.Types.ObjectId();
+    const actor = customerActor(req.user);
+    const reservedItems = await reserveOrderStock(orderItems, { orderId, actor });
+
+    // ✅ Store the receipt only once the order can actually be placed
+    let receipt;
+    try {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      receipt = await mediaStorage.put(req.file, {
+        folder: 'receipts',
+        private: true,
+        filename: 'receipt-' + customerId + '-' + uniqueSuffix + path.extname(req.file.originalname)
+      });
+    } catch (uploadError) {
+      await rollbackReservation(reservedItems, { orderId, actor });
+      throw uploadError;
     }
 
-    const order = new Order({
+    const orderData = {
+      _id: orderId,
       customer: customerId,
-      items,
+      items: reservedItems,
       totalAmount,
       paymentMethod: 'bank_transfer',
-      receipt: req.file.path,
+      receipt: receipt.key,
       status: 'pending_payment',
-      receiptStatus: 'pending'
-    });
+      receiptStatus: 'pending',
+      stockStatus: 'reserved',
+      reservationExpiresAt: getReservationExpiry(),
+      // ✅ Timeline starts with the order being placed
+      statusHistory: historyEntries(
+        [{ field: 'status', from: null, to: 'pending_payment' }],
+        { actor, note: 'Order placed' }
+      )
+    };
 
-    await order.save();
-    
-    // Clear customer cart
-    await Customer.findByIdAndUpdate(customerId, { $set: { cart: [] } });
+    // ✅ Save the order and clear the cart together. Transactions need MongoDB running as a
+    // replica set (Atlas always is; a local mongod needs --replSet).
+    // Ordering from the cart removes just the lines that were ordered, so anything
+    // added in another tab meanwhile stays in the cart.
+    const cartUpdate = fromCart
+      ? { $pull: { cart: { _id: { $in: customer.cart.map(line => line._id) } } } }
+      : { $set: { cart: [] } };
+    let order;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        // Built inside the callback - withTransaction re-runs it after transient errors
+        order = new Order(orderData);
+        await order.save({ session });
+        await Customer.updateOne({ _id: customerId }, cartUpdate, { session });
+      });
+    } catch (saveError) {
+      await rollbackReservation(reservedItems, { orderId, actor });
+      await mediaStorage.remove(receipt.key);
+      throw saveError;
+    } finally {
+      await session.endSession();
+    }
 
     res.status(201).json({ 
       success: true, 
@@ -81,11 +141,17 @@ router.post('/', protect, upload.single('receipt'), async (req, res) => {
     });
 
   } catch (err) {
+    if (err.code === 'ORDER_INVALID' || err.code === 'INSUFFICIENT_STOCK') {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    // Standalone mongod - checkout can't work until the database runs as a replica set
+    if (err.code === 20 || /replica set member or mongos/i.test(err.message || '')) {
+      console.error('Create order error: MongoDB transactions are unavailable - run the database as a replica set.', err.message);
+      return res.status(503).json({ success: false, message: 'Checkout is temporarily unavailable. Please try again later.' });
+    }
     console.error('Create order error:', err);
-    // Clean up uploaded file on error
-    if (req.file) {
-      const fs = require('fs');
-      fs.unlinkSync(req.file.path);
+    if (err.message && err.message.includes('Media upload failed')) {
+      return res.status(500).json({ success: false, message: 'Failed to upload receipt' });
     }
     res.status(500).json({ success: false, message: 'Server error' });
   }
@@ -103,9 +169,9 @@ router.get('/', protect, async (req, res) => {
     
     const orders = await Order.find({ customer: req.user.id })
       .sort({ createdAt: -1 })
-      .populate('items.productId', 'title brand images');
+      .populate('items.productId', PRODUCT_LINK_FIELDS);
     
-    res.json({ success: true, data: orders });
+    res.json({ success: true, data: orders.map(presentCustomerOrder) });
   } catch (err) {
     console.error('Get orders error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
@@ -125,21 +191,22 @@ router.get('/:id', protect, async (req, res) => {
     const order = await Order.findOne({ 
       _id: req.params.id, 
       customer: req.user.id 
-    }).populate('items.productId', 'title brand images');
+    }).populate('items.productId', PRODUCT_LINK_FIELDS);
     
     if (!order) {
       return res.status(404).json({ success: false, message: 'Order not found' });
     }
     
-    res.json({ success: true, data: order });
+    res.json({ success: true, data: presentCustomerOrder(order) });
   } catch (err) {
     console.error('Get order error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// @desc    Cancel order (only if pending)
+// @desc    Cancel order (only if pending) - the order is kept as cancelled in the timeline
 // @route   DELETE /api/orders/:id
+// @body    note (optional reason)
 // @access  Private/Customer
 router.delete('/:id', protect, async (req, res) => {
   try {
@@ -161,19 +228,33 @@ router.delete('/:id', protect, async (req, res) => {
       return res.status(400).json({ success: false, message: 'Cannot cancel this order' });
     }
     
-    await Order.findByIdAndDelete(req.params.id);
-    
-    // Clean up receipt file
-    if (order.receipt) {
-      const fs = require('fs');
-      if (fs.existsSync(order.receipt)) {
-        fs.unlinkSync(order.receipt);
-      }
+    const actor = customerActor(req.user);
+    const changes = planStatusChanges(order, { status: 'cancelled' });
+    const cancelled = await Order.findOneAndUpdate(
+      { _id: order._id, status: order.status },
+      {
+        $set: { status: 'cancelled' },
+        $push: {
+          statusHistory: {
+            $each: historyEntries(changes, { actor, note: req.body?.note || 'Cancelled by customer' })
+          }
+        }
+      },
+      { new: true }
+    );
+    if (!cancelled) {
+      return res.status(409).json({ success: false, message: 'This order was just updated - reload it and try again' });
     }
     
+    // ✅ Put reserved units back on the shelf
+    await releaseOrderStock(order._id, 'released', actor);
+    
     res.json({ success: true, message: 'Order cancelled successfully' });
     
   } catch (err) {
+    if (err.code === 'ORDER_TRANSITION_INVALID') {
+      return res.status(400).json({ success: false, message: err.message });
+    }
     console.error('Cancel order error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
   }
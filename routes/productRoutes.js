@@ -1,35 +1,110 @@
 // server/routes/productRoutes.js
 const express = require('express');
+const mongoose = require('mongoose');
 const multer = require('multer');
-const cloudinary = require('../config/cloudinary');
 const Product = require('../models/Product');
+const Collection = require('../models/Collection');
+const Customer = require('../models/Customer');
+const Order = require('../models/Order');
+const StockAlert = require('../models/StockAlert');
+const GuestCart = require('../models/GuestCart');
+const Review = require('../models/Review');
+const InventoryMovement = require('../models/InventoryMovement');
+const ProductRecommendation = require('../models/ProductRecommendation');
+const mediaStorage = require('../utils/storage');
 const { protect, admin } = require('../middleware/auth');
+const { optionalCustomerAuth } = require('../middleware/customerAuth');
+const {
+  GENDERS,
+  PRODUCT_TYPES,
+  WATCH_SHAPES,
+  PRICE_BUCKETS,
+  PRICE_TIERS,
+  escapeRegex,
+  buildProductFilter,
+  buildProductSort,
+  parsePagination
+} = require('../utils/productQuery');
+const { sanitizeTextQuery, buildFuzzyCondition } = require('../utils/productSearch');
+const { adminActor, recordQuantityEdits } = require('../utils/inventoryLedger');
+const { checkProductStockLevels } = require('../utils/stockAlerts');
+const { MAX_RELATED, getRelatedProducts } = require('../utils/recommendations');
+const { NO_PRICING, pricingOf, syncProductPrice, attachTierPrices } = require('../utils/pricing');
+const PriceHistory = require('../models/PriceHistory');
+const {
+  FEATURED_COLLECTION_SLUG,
+  FEATURED_DEFAULT_LIMIT,
+  getCollectionProducts
+} = require('../utils/collections');
+const {
+  productsToCsv,
+  parseImportCsv,
+  parseSpecifications: parseCsvSpecifications,
+  parseList
+} = require('../utils/productCsv');
 
 const router = express.Router();
 
-// @desc    Search products
+// @desc    Search products (relevance ranked, typo tolerant fallback)
 // @route   GET /api/products/search
+// @query   q, page, limit
 // @access  Public
-router.get('/search', async (req, res) => {
+router.get('/search', optionalCustomerAuth, async (req, res) => {
   try {
-    const { q } = req.query;
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const { page, limit, skip } = parsePagination(req.query);
+    const emptyResult = { success: true, products: [], pagination: { page, pages: 0, limit, total: 0 } };
+
     if (!q) {
-      return res.json({ success: true, products: [] });
+      return res.json(emptyResult);
     }
-    
-    const products = await Product.find({
-      status: 'active',
-      $or: [
-        { title: { $regex: q, $options: 'i' } },
-        { brand: { $regex: q, $options: 'i' } },
-        { description: { $regex: q, $options: 'i' } }
-      ]
-    })
-    .select('title brand images price gender')
-    .limit(10)
-    .sort({ createdAt: -1 });
-    
-    res.json({ success: true, products });
+
+    const fields = 'title brand images price currentPrice onSale sale gender modelNumber productType slug';
+
+    // 1) Weighted $text search ranked by relevance
+    const textQuery = sanitizeTextQuery(q);
+    if (textQuery) {
+      const textFilter = { status: 'active', $text: { $search: textQuery } };
+      const total = await Product.countDocuments(textFilter);
+
+      if (total > 0) {
+        const products = await Product.find(textFilter, { score: { $meta: 'textScore' } })
+          .select(fields)
+          .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+          .skip(skip)
+          .limit(limit);
+
+        return res.json({
+          success: true,
+          mode: 'text',
+          products: await attachTierPrices(products, req.user),
+          pagination: { page, pages: Math.ceil(total / limit), limit, total }
+        });
+      }
+    }
+
+    // 2) No exact word hits - fall back to typo/spacing tolerant matching
+    const fuzzyCondition = buildFuzzyCondition(q);
+    if (!fuzzyCondition) {
+      return res.json(emptyResult);
+    }
+
+    const fuzzyFilter = { status: 'active', ...fuzzyCondition };
+    const [products, total] = await Promise.all([
+      Product.find(fuzzyFilter)
+        .select(fields)
+        .sort({ featured: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Product.countDocuments(fuzzyFilter)
+    ]);
+
+    res.json({
+      success: true,
+      mode: 'fuzzy',
+      products: await attachTierPrices(products, req.user),
+      pagination: { page, pages: Math.ceil(total / limit), limit, total }
+    });
   } catch (err) {
     console.error('Search error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
@@ -39,11 +114,24 @@ router.get('/search', async (req, res) => {
 // Multer configuration
 const storage = multer.memoryStorage();
 
+// Up to 10 color variants, each with up to 2 of its own images (colors[i][images])
+const MAX_VARIANTS = 10;
+const MAX_VARIANT_IMAGES = 2;
+
+const productUploadFields = [
+  { name: 'images', maxCount: 3 },
+  { name: 'video', maxCount: 1 },
+  ...Array.from({ length: MAX_VARIANTS }, (_, i) => ({
+    name: `colors[${i}][images]`,
+    maxCount: MAX_VARIANT_IMAGES
+  }))
+];
+
 const upload = multer({
   storage: storage,
   limits: {
     fileSize: 50 * 1024 * 1024, // 50MB
-    files: 4
+    files: 4 + MAX_VARIANTS * MAX_VARIANT_IMAGES
   },
   fileFilter: (req, file, cb) => {
     if (file.mimetype.startsWith('image/') || file.mimetype.startsWith('video/')) {
@@ -54,34 +142,22 @@ const upload = multer({
   }
 });
 
-// ✅ DEFINE uploadToCloudinary BEFORE using it
-const uploadToCloudinary = async (file, folder) => {
-  if (!file) return null;
-  
-  try {
-    const result = await new Promise((resolve, reject) => {
-      const uploadStream = cloudinary.uploader.upload_stream(
-        {
-          folder: folder,
-          resource_type: file.mimetype.startsWith('video/') ? 'video' : 'image',
-          timeout: 60000
-        },
-        (error, result) => {
-          if (error) {
-            reject(new Error('Cloudinary upload failed'));
-          } else {
-            resolve(result);
-          }
-        }
-      );
-      uploadStream.end(file.buffer);
-    });
-    return result.secure_url;
-  } catch (error) {
-    throw error;
-  }
+// ✅ Upload a product image/video through the configured storage driver and return its URL
+const uploadMedia = async (file, folder) => {
+  const stored = await mediaStorage.put(file, { folder });
+  return stored ? stored.url : null;
 };
 
+// ✅ Remove assets that are no longer referenced (failures are logged, never thrown)
+const deleteMedia = (urls) => mediaStorage.remove(urls);
+
+// Every media URL a product references (gallery, video and color images)
+const collectMediaUrls = (product) => [
+  ...(product.images || []),
+  ...(product.video ? [product.video] : []),
+  ...(product.colors || []).flatMap(color => color.images || [])
+];
+
 // Multer error handler
 const handleMulterError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
@@ -94,7 +170,7 @@ const handleMulterError = (err, req, res, next) => {
     if (err.code === 'LIMIT_UNEXPECTED_FILE' || err.code === 'LIMIT_FILE_COUNT') {
       return res.status(400).json({
         success: false,
-        message: 'Too many files. Maximum 3 images and 1 video allowed.'
+        message: `Too many files. Maximum 3 images, 1 video and ${MAX_VARIANT_IMAGES} images per color allowed.`
       });
     }
   }
@@ -102,10 +178,121 @@ const handleMulterError = (err, req, res, next) => {
   res.status(500).json({ success: false, message: 'Server error' });
 };
 
+// ✅ Helper: Validate the fields every new product needs (create route and CSV import)
+const validateProductFields = ({ title, description, brand, watchShape, productType, gender }) => {
+  if (!title || !title.trim()) return 'Title is required';
+  if (!description || !description.trim()) return 'Description is required';
+  if (!brand || !brand.trim()) return 'Brand is required';
+  if (!watchShape || !watchShape.trim()) return 'Watch shape is required';
+  if (!WATCH_SHAPES.includes(watchShape.trim())) {
+    return `Watch shape must be one of: ${WATCH_SHAPES.join(', ')}`;
+  }
+  if (!productType || !PRODUCT_TYPES.includes(productType)) {
+    return 'Valid product type is required (watch or wall_clock)';
+  }
+  if (productType === 'watch' && (!gender || !GENDERS.includes(gender))) {
+    return 'Valid gender (men, women, kids, unisex) is required for wrist watches';
+  }
+  return null;
+};
+
+const parseSaleDate = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * ✅ Helper: Read salePrice / saleStartsAt / saleEndsAt from a form body.
+ * Leaving salePrice out keeps `existingSale`; an empty salePrice removes the sale.
+ * Returns { sale } or { error }.
+ */
+const parseSale = (body, price, existingSale = null) => {
+  const noSale = { price: null, startsAt: null, endsAt: null };
+  let sale;
+
+  if (body.salePrice === undefined) {
+    sale = existingSale
+      ? { price: existingSale.price ?? null, startsAt: existingSale.startsAt ?? null, endsAt: existingSale.endsAt ?? null }
+      : noSale;
+  } else if (body.salePrice === '' || body.salePrice === null) {
+    return { sale: noSale };
+  } else {
+    const salePrice = Number(body.salePrice);
+    if (!Number.isFinite(salePrice) || salePrice < 0) {
+      return { error: 'Sale price must be a number of 0 or more' };
+    }
+    const startsAt = parseSaleDate(body.saleStartsAt);
+    const endsAt = parseSaleDate(body.saleEndsAt);
+    if (startsAt === undefined) return { error: 'Invalid sale start date' };
+    if (endsAt === undefined) return { error: 'Invalid sale end date' };
+    if (startsAt && endsAt && endsAt <= startsAt) {
+      return { error: 'Sale end date must be after its start date' };
+    }
+    sale = { price: salePrice, startsAt, endsAt };
+  }
+
+  if (sale.price !== null && (price === null || price === undefined || sale.price >= price)) {
+    return { error: 'Sale price must be lower than the regular price' };
+  }
+  return { sale };
+};
+
+// ✅ Helper: Parse trade price tiers (priceTiers[0][tier] form fields or a JSON array)
+// Returns { priceTiers } - undefined when the request didn't send any - or { error }
+const parsePriceTiers = (body) => {
+  let raw;
+  if (body['priceTiers[0][tier]'] !== undefined) {
+    raw = [];
+    for (let i = 0; body[`priceTiers[${i}][tier]`] !== undefined; i++) {
+      raw.push({
+        tier: body[`priceTiers[${i}][tier]`],
+        price: body[`priceTiers[${i}][price]`],
+        minQuantity: body[`priceTiers[${i}][minQuantity]`]
+      });
+    }
+  } else if (body.priceTiers !== undefined) {
+    raw = body.priceTiers;
+    if (typeof raw === 'string') {
+      try {
+        raw = raw.trim() ? JSON.parse(raw) : [];
+      } catch (e) {
+        return { error: 'Invalid price tiers format' };
+      }
+    }
+    if (!Array.isArray(raw)) {
+      return { error: 'Invalid price tiers format' };
+    }
+  } else {
+    return { priceTiers: undefined };
+  }
+
+  const priceTiers = [];
+  for (const entry of raw) {
+    const tier = String(entry?.tier || '').trim();
+    if (!PRICE_TIERS.includes(tier)) {
+      return { error: `Price tier must be one of: ${PRICE_TIERS.join(', ')}` };
+    }
+    if (priceTiers.some(t => t.tier === tier)) {
+      return { error: `Only one ${tier} price is allowed` };
+    }
+    const price = Number(entry.price);
+    if (entry.price === '' || entry.price === null || !Number.isFinite(price) || price < 0) {
+      return { error: `The ${tier} price must be a number of 0 or more` };
+    }
+    const minQuantity = entry.minQuantity === undefined || entry.minQuantity === '' ? 1 : Number(entry.minQuantity);
+    if (!Number.isInteger(minQuantity) || minQuantity < 1) {
+      return { error: `The ${tier} minimum quantity must be a whole number of 1 or more` };
+    }
+    priceTiers.push({ tier, price, minQuantity });
+  }
+  return { priceTiers };
+};
+
 // ✅ Helper: Validate featured products limit
 const validateFeaturedLimit = async (isFeatured, editingId = null) => {
   if (isFeatured) {
-    const featuredCount = await Product.countDocuments({ featured: true });
+    const featuredCount = await Product.countDocuments({ featured: true, status: { $ne: 'archived' } });
     // If editing an existing featured product, don't count it
     const currentProductIsFeatured = editingId 
       ? await Product.findById(editingId).select('featured')
@@ -121,7 +308,37 @@ const validateFeaturedLimit = async (isFeatured, editingId = null) => {
   }
 };
 
-// ✅ NEW HELPER: Parse colors from req.body
+// ✅ HELPER: Turn one raw color entry into a variant (or null if it has no name)
+const normalizeColor = (raw) => {
+  if (!raw || !raw.name || typeof raw.name !== 'string' || !raw.name.trim()) {
+    return null;
+  }
+
+  const toNumber = (value, parse) => (
+    value !== undefined && value !== null && String(value).trim() !== '' && !isNaN(value)
+      ? parse(value)
+      : null
+  );
+  const toText = (value) => (typeof value === 'string' && value.trim() ? value.trim() : undefined);
+
+  const color = {
+    name: raw.name.trim(),
+    quantity: toNumber(raw.quantity, parseInt),
+    price: toNumber(raw.price, parseFloat),
+    lowStockThreshold: toNumber(raw.lowStockThreshold, parseInt),
+    sku: toText(raw.sku),
+    barcode: toText(raw.barcode)
+  };
+
+  // Keep the variant id when the admin edits an existing color
+  const id = raw._id || raw.id;
+  if (id && mongoose.Types.ObjectId.isValid(id)) {
+    color._id = id;
+  }
+  return color;
+};
+
+// ✅ NEW HELPER: Parse colors (variants) from req.body
 const parseColors = (body) => {
   const colors = [];
   let colorIndex = 0;
@@ -132,56 +349,124 @@ const parseColors = (body) => {
   // Try different parsing strategies
   // Strategy 1: colors[0][name] format
   while (body[`colors[${colorIndex}][name]`] !== undefined) {
-    const name = body[`colors[${colorIndex}][name]`];
-    const quantityStr = body[`colors[${colorIndex}][quantity]`];
-    
-    if (name && typeof name === 'string' && name.trim()) {
-      const quantity = quantityStr && 
-                       typeof quantityStr === 'string' && 
-                       !isNaN(quantityStr) && 
-                       quantityStr.trim() !== '' 
-        ? parseInt(quantityStr) 
-        : null;
-      
-      colors.push({ name: name.trim(), quantity });
+    const color = normalizeColor({
+      _id: body[`colors[${colorIndex}][_id]`],
+      name: body[`colors[${colorIndex}][name]`],
+      quantity: body[`colors[${colorIndex}][quantity]`],
+      price: body[`colors[${colorIndex}][price]`],
+      lowStockThreshold: body[`colors[${colorIndex}][lowStockThreshold]`],
+      sku: body[`colors[${colorIndex}][sku]`],
+      barcode: body[`colors[${colorIndex}][barcode]`]
+    });
+    if (color) {
+      color.formIndex = colorIndex;
+      colors.push(color);
     }
     colorIndex++;
   }
   
-  // Strategy 2: Check if colors is already parsed as an array
+  // Strategy 2: Check if colors is already parsed as an array (or sent as JSON)
   if (colors.length === 0 && body.colors) {
-    if (Array.isArray(body.colors)) {
-      body.colors.forEach(color => {
-        if (color.name && typeof color.name === 'string' && color.name.trim()) {
-          const quantity = color.quantity && !isNaN(color.quantity) 
-            ? parseInt(color.quantity) 
-            : null;
-          colors.push({ name: color.name.trim(), quantity });
-        }
-      });
-    } else if (typeof body.colors === 'string') {
+    let rawColors = body.colors;
+    if (typeof rawColors === 'string') {
       try {
-        const parsedColors = JSON.parse(body.colors);
-        if (Array.isArray(parsedColors)) {
-          parsedColors.forEach(color => {
-            if (color.name && typeof color.name === 'string' && color.name.trim()) {
-              const quantity = color.quantity && !isNaN(color.quantity) 
-                ? parseInt(color.quantity) 
-                : null;
-              colors.push({ name: color.name.trim(), quantity });
-            }
-          });
-        }
+        rawColors = JSON.parse(rawColors);
       } catch (e) {
         console.error('Failed to parse colors JSON:', e);
+        rawColors = [];
       }
     }
+    if (Array.isArray(rawColors)) {
+      rawColors.forEach((raw, index) => {
+        const color = normalizeColor(raw);
+        if (color) {
+          color.formIndex = index;
+          colors.push(color);
+        }
+      });
+    }
   }
   
   console.log('Parsed colors:', colors);
   return colors;
 };
 
+// ✅ HELPER: Parse a low-stock threshold (empty or invalid means "use the default")
+const parseThreshold = (value) => {
+  const threshold = parseInt(value);
+  return Number.isInteger(threshold) && threshold >= 0 ? threshold : null;
+};
+
+// ✅ HELPER: Reject duplicate color names / SKUs / barcodes within one product,
+// and SKUs / barcodes another product already uses (excludeId = the product being edited)
+const validateColors = async (colors, { excludeId } = {}) => {
+  if (colors.length > MAX_VARIANTS) {
+    return `Maximum ${MAX_VARIANTS} colors allowed per product`;
+  }
+  const names = colors.map(c => c.name.toLowerCase());
+  if (new Set(names).size !== names.length) {
+    return 'Color names must be unique within a product';
+  }
+  const skus = colors.map(c => c.sku && c.sku.toUpperCase()).filter(Boolean);
+  if (new Set(skus).size !== skus.length) {
+    return 'Each color must have a different SKU';
+  }
+  const barcodes = colors.map(c => c.barcode).filter(Boolean);
+  if (new Set(barcodes).size !== barcodes.length) {
+    return 'Each color must have a different barcode';
+  }
+  if (skus.length > 0 || barcodes.length > 0) {
+    const taken = await Product.exists({
+      ...(excludeId && { _id: { $ne: excludeId } }),
+      $or: [{ 'colors.sku': { $in: skus } }, { 'colors.barcode': { $in: barcodes } }]
+    });
+    if (taken) {
+      return 'SKU or barcode is already used by another product';
+    }
+  }
+  return null;
+};
+
+// ✅ HELPER: Existing colors an edit would remove (matched like buildVariants: by _id, then name)
+const findRemovedColors = (colors, existingColors = []) => existingColors.filter(existing => !colors.some(color =>
+  (color._id && color._id.toString() === existing._id.toString()) ||
+  color.name.toLowerCase() === existing.name.toLowerCase()
+));
+
+// ✅ HELPER: Colors still holding units for pending orders can't be removed
+// (releasing or committing those orders would find no variant and the units would vanish)
+const heldColorErrors = (removedColors) => removedColors
+  .filter(c => (c.reserved || 0) > 0)
+  .map(c => `Color ${c.name} cannot be removed while ${c.reserved} units are held by pending orders`);
+
+// ✅ HELPER: Upload images sent as colors[i][images] and attach them to the matching variant.
+// On update, variants keep their id (matched by _id, then by name) and their old images
+// unless new ones were uploaded for them.
+const buildVariants = async (colors, files, existingColors = []) => {
+  return Promise.all(colors.map(async ({ formIndex, ...color }) => {
+    const existing = (color._id && existingColors.find(c => c._id.toString() === color._id.toString()))
+      || existingColors.find(c => c.name.toLowerCase() === color.name.toLowerCase());
+
+    if (existing) {
+      color._id = existing._id;
+      // Units held by pending orders are not part of the admin form
+      color.reserved = existing.reserved || 0;
+    } else {
+      delete color._id;
+    }
+
+    const uploads = files?.[`colors[${formIndex}][images]`] || [];
+    if (uploads.length > 0) {
+      color.images = await Promise.all(
+        uploads.map(file => uploadMedia(file, 'products/variants'))
+      );
+    } else {
+      color.images = existing ? existing.images : [];
+    }
+    return color;
+  }));
+};
+
 // ✅ NEW HELPER: Parse specifications from req.body
 const parseSpecifications = (body) => {
   const specifications = [];
@@ -240,15 +525,300 @@ const parseSpecifications = (body) => {
   return specifications;
 };
 
+// ✅ CSV import upload (single .csv file, kept in memory)
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const isCsv = /\.csv$/i.test(file.originalname)
+      || ['text/csv', 'application/vnd.ms-excel'].includes(file.mimetype);
+    if (isCsv) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV files are allowed'), false);
+    }
+  }
+});
+
+// CSV upload error handler
+const handleCsvUploadError = (err, req, res, next) => {
+  if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+    return res.status(400).json({ success: false, message: 'File too large. Maximum file size is 5MB.' });
+  }
+  if (err.message === 'Only CSV files are allowed' || err instanceof multer.MulterError) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+  console.error('CSV upload error:', err);
+  res.status(500).json({ success: false, message: 'Server error' });
+};
+
+// ✅ HELPER: Validate grouped CSV rows with the same rules as the create route and
+// work out what each product would become. Nothing is written here.
+const planProductImport = async (groups) => {
+  const errors = [];
+  const plans = [];
+  const skusInFile = new Map();
+  const barcodesInFile = new Map();
+
+  // Archived (trashed) products are never updated by an import - they have to be restored first
+  const modelNumbers = groups.map(g => new RegExp(`^${escapeRegex(g.modelNumber)}$`, 'i'));
+  const [existingProducts, archivedProducts] = groups.length > 0
+    ? await Promise.all([
+      Product.find({ modelNumber: { $in: modelNumbers }, status: { $ne: 'archived' } }),
+      Product.find({ modelNumber: { $in: modelNumbers }, status: 'archived' }).select('modelNumber').lean()
+    ])
+    : [[], []];
+
+  const isNumber = (value) => value === '' || value === undefined || (!isNaN(value) && Number(value) >= 0);
+  const isCount = (value) => value === '' || value === undefined || /^\d+$/.test(value);
+
+  for (const group of groups) {
+    const groupErrors = [];
+    const firstRow = group.rows[0];
+    const addError = (row, message) => groupErrors.push({ row, modelNumber: group.modelNumber, message });
+    const fields = group.fields;
+
+    const matches = existingProducts.filter(
+      p => p.modelNumber.toLowerCase() === group.modelNumber.toLowerCase()
+    );
+    if (matches.length > 1) {
+      addError(firstRow, 'More than one existing product uses this model number');
+      errors.push(...groupErrors);
+      continue;
+    }
+    const existing = matches[0] || null;
+    if (!existing && archivedProducts.some(p => p.modelNumber.toLowerCase() === group.modelNumber.toLowerCase())) {
+      addError(firstRow, 'This product is in the trash - restore it first');
+      errors.push(...groupErrors);
+      continue;
+    }
+
+    // Number formats (the create route would silently drop these, an import should say so)
+    if (!isNumber(fields.price)) addError(firstRow, 'price must be a number of 0 or more');
+    if (!isCount(fields.lowStockThreshold)) addError(firstRow, 'lowStockThreshold must be a whole number');
+    if (fields.status && !['active', 'inactive'].includes(fields.status)) {
+      addError(firstRow, 'status must be active or inactive');
+    }
+    group.colors.forEach(color => {
+      if (!isCount(color.quantity)) addError(color.row, 'colorQuantity must be a whole number');
+      if (!isNumber(color.price)) addError(color.row, 'colorPrice must be a number of 0 or more');
+      if (!isCount(color.lowStockThreshold)) addError(color.row, 'colorLowStockThreshold must be a whole number');
+    });
+
+    // Empty cells keep the existing product's values
+    const productType = fields.productType || existing?.productType;
+    const data = {
+      title: fields.title || existing?.title,
+      description: fields.description || existing?.description,
+      brand: fields.brand || existing?.brand,
+      modelNumber: existing ? existing.modelNumber : group.modelNumber,
+      watchShape: fields.watchShape || existing?.watchShape,
+      productType,
+      gender: productType === 'watch' ? (fields.gender || existing?.gender) : undefined,
+      price: fields.price ? parseFloat(fields.price) : (existing ? existing.price : null),
+      status: fields.status || existing?.status || 'active',
+      lowStockThreshold: fields.lowStockThreshold !== undefined
+        ? parseThreshold(fields.lowStockThreshold)
+        : (existing ? existing.lowStockThreshold : null),
+      specifications: fields.specifications !== undefined
+        ? parseCsvSpecifications(fields.specifications)
+        : (existing ? existing.specifications : []),
+      images: fields.images !== undefined ? parseList(fields.images) : (existing ? existing.images : [])
+    };
+
+    const fieldError = validateProductFields(data);
+    if (fieldError) addError(firstRow, fieldError);
+
+    if (data.specifications.some(spec => !spec.key || !spec.value)) {
+      addError(firstRow, 'specifications must look like "Key: Value | Key: Value"');
+    }
+    if (data.images.length === 0) {
+      addError(firstRow, 'At least one image is required');
+    }
+
+    const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+    const colors = group.colors
+      .map((raw, index) => {
+        const color = normalizeColor(raw);
+        if (!color) return null;
+        color.formIndex = index;
+
+        // Empty variant cells keep the existing color's values too (stock, SKU, barcode...)
+        const current = existing && existing.colors.find(c => c.name.toLowerCase() === color.name.toLowerCase());
+        if (current) {
+          if (isBlank(raw.quantity)) color.quantity = current.quantity ?? null;
+          if (isBlank(raw.price)) color.price = current.price ?? null;
+          if (isBlank(raw.lowStockThreshold)) color.lowStockThreshold = current.lowStockThreshold ?? null;
+          if (isBlank(raw.sku)) color.sku = current.sku || undefined;
+          if (isBlank(raw.barcode)) color.barcode = current.barcode || undefined;
+        }
+        return color;
+      })
+      .filter(Boolean);
+
+    // Colors missing from the file are removed - never while pending orders hold units of them
+    const removedColors = existing ? findRemovedColors(colors, existing.colors) : [];
+    heldColorErrors(removedColors).forEach(message => addError(firstRow, `${message} - keep its row`));
+
+    if (colors.length === 0) {
+      addError(firstRow, 'At least one color combination is required');
+    } else {
+      const colorError = await validateColors(colors, { excludeId: existing?._id });
+      if (colorError) addError(firstRow, colorError);
+    }
+
+    // SKU / barcode must be unique across the file too (validateColors checked the catalog)
+    colors.forEach(color => {
+      const row = group.colors[color.formIndex].row;
+      const key = group.modelNumber.toLowerCase();
+      const sku = color.sku && color.sku.toUpperCase();
+      if (sku) {
+        if (skusInFile.has(sku) && skusInFile.get(sku) !== key) addError(row, `SKU ${sku} is used by another product in this file`);
+        skusInFile.set(sku, key);
+      }
+      if (color.barcode) {
+        if (barcodesInFile.has(color.barcode) && barcodesInFile.get(color.barcode) !== key) {
+          addError(row, `Barcode ${color.barcode} is used by another product in this file`);
+        }
+        barcodesInFile.set(color.barcode, key);
+      }
+    });
+
+    // Finally let the schema have its say (enums, barcode format, lengths...)
+    if (groupErrors.length === 0) {
+      const validationError = new Product({ ...data, colors }).validateSync();
+      if (validationError) {
+        Object.values(validationError.errors).forEach(e => addError(firstRow, e.message));
+      }
+    }
+
+    if (groupErrors.length > 0) {
+      errors.push(...groupErrors);
+    } else {
+      plans.push({ group, existing, data, colors, removedColors: removedColors.map(c => c.name) });
+    }
+  }
+
+  return { plans, errors };
+};
+
+// ✅ HELPER: Write one planned import (create or update by model number)
+const applyProductImport = async ({ existing, data, colors }, actor) => {
+  const variants = await buildVariants(colors, null, existing ? existing.colors : []);
+  const { gender, ...rest } = data;
+  let product;
+
+  if (existing) {
+    product = await Product.findByIdAndUpdate(
+      existing._id,
+      {
+        ...rest,
+        colors: variants,
+        ...(gender !== undefined ? { gender } : { $unset: { gender: '' } })
+      },
+      { new: true, runValidators: true }
+    );
+  } else {
+    product = await Product.create({ ...rest, colors: variants, ...(gender !== undefined && { gender }) });
+  }
+
+  await recordQuantityEdits(existing ? existing.colors : [], product, actor, 'CSV import');
+  await checkProductStockLevels(product);
+  await syncProductPrice(product._id, {
+    previous: existing ? pricingOf(existing) : NO_PRICING,
+    reason: existing ? 'import' : 'created',
+    actor
+  });
+
+  // Color images dropped by the import are no longer referenced anywhere
+  if (existing) {
+    const stillUsed = new Set(collectMediaUrls(product));
+    await deleteMedia(collectMediaUrls(existing).filter(url => !stillUsed.has(url)));
+  }
+  return product;
+};
+
+// ✅ Helper: Count products per value of a single field for the facet sidebar
+const countByField = (query, field) => Product.aggregate([
+  { $match: buildProductFilter(query, { omit: [field] }) },
+  { $match: { [field]: { $nin: [null, ''] } } },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $project: { _id: 0, value: '$_id', count: 1 } }
+]);
+
+// ✅ Helper: Count products per color name (case-insensitive, one count per product)
+const countByColor = (query) => Product.aggregate([
+  { $match: buildProductFilter(query, { omit: ['color'] }) },
+  { $unwind: '$colors' },
+  {
+    $group: {
+      _id: { $toLower: '$colors.name' },
+      value: { $first: '$colors.name' },
+      products: { $addToSet: '$_id' }
+    }
+  },
+  { $project: { _id: 0, value: 1, count: { $size: '$products' } } },
+  { $sort: { count: -1, value: 1 } }
+]);
+
+// ✅ Helper: Count products per price range (products without a price are reported separately)
+const countByPrice = async (query) => {
+  const boundaries = [...PRICE_BUCKETS, Number.MAX_SAFE_INTEGER];
+  const buckets = await Product.aggregate([
+    { $match: buildProductFilter(query, { omit: ['price'] }) },
+    {
+      $bucket: {
+        groupBy: '$currentPrice',
+        boundaries,
+        default: 'unpriced',
+        output: { count: { $sum: 1 } }
+      }
+    }
+  ]);
+
+  return buckets.map(bucket => {
+    if (bucket._id === 'unpriced') {
+      return { min: null, max: null, count: bucket.count };
+    }
+    const index = boundaries.indexOf(bucket._id);
+    const upper = boundaries[index + 1];
+    return {
+      min: bucket._id,
+      max: upper === Number.MAX_SAFE_INTEGER ? null : upper,
+      count: bucket.count
+    };
+  });
+};
+
 // ✅ PUBLIC ROUTES - CRITICAL ORDER: SPECIFIC BEFORE PARAMETER
 
-// @desc    Get all active products (public)
+// @desc    Get active products (public) - paginated, filterable and sortable
 // @route   GET /api/products
+// @query   page, limit, brand, gender, productType, watchShape, minPrice, maxPrice,
+//          color, inStock=true, sort=newest|price_asc|price_desc|title|rating
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', optionalCustomerAuth, async (req, res) => {
   try {
-    const products = await Product.find({ status: 'active' }).sort({ createdAt: -1 });
-    res.json({ success: true, products });
+    const filter = buildProductFilter(req.query);
+    const sort = buildProductSort(req.query.sort);
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const [products, total] = await Promise.all([
+      Product.find(filter).sort(sort).skip(skip).limit(limit),
+      Product.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      products: await attachTierPrices(products, req.user),
+      pagination: {
+        page,
+        pages: Math.ceil(total / limit),
+        limit,
+        total
+      }
+    });
   } catch (err) {
     console.error('Fetch public products error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
@@ -256,10 +826,20 @@ router.get('/', async (req, res) => {
 });
 
 // @desc    Get featured products (public)
+//          Served from the "featured" collection when one is active,
+//          otherwise from the legacy featured flag (max 4)
 // @route   GET /api/products/featured
 // @access  Public
 router.get('/featured', async (req, res) => {
   try {
+    const collection = await Collection.findOne({ slug: FEATURED_COLLECTION_SLUG, status: 'active' });
+    if (collection) {
+      const { products } = await getCollectionProducts(collection, {
+        limit: collection.maxProducts || FEATURED_DEFAULT_LIMIT
+      });
+      return res.json({ success: true, products });
+    }
+
     const products = await Product.find({ 
       status: 'active', 
       featured: true 
@@ -274,12 +854,39 @@ router.get('/featured', async (req, res) => {
   }
 });
 
+// @desc    Get facet counts for the current filter set (public)
+// @route   GET /api/products/facets
+// @query   same filters as GET /api/products
+// @access  Public
+router.get('/facets', async (req, res) => {
+  try {
+    const [brand, gender, productType, watchShape, color, price] = await Promise.all([
+      countByField(req.query, 'brand'),
+      countByField(req.query, 'gender'),
+      countByField(req.query, 'productType'),
+      countByField(req.query, 'watchShape'),
+      countByColor(req.query),
+      countByPrice(req.query)
+    ]);
+
+    res.json({
+      success: true,
+      facets: { brand, gender, productType, watchShape, color, price }
+    });
+  } catch (err) {
+    console.error('Fetch product facets error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 // @desc    Get all products (admin) - ✅ MUST COME BEFORE /:id
 // @route   GET /api/products/admin
 // @access  Admin only
 router.get('/admin', protect, admin, async (req, res) => {
   try {
-    const products = await Product.find().sort({ createdAt: -1 });
+    const products = await Product.find({ status: { $ne: 'archived' } })
+      .select('+priceTiers')
+      .sort({ createdAt: -1 });
     res.json({ success: true, products });
   } catch (err) {
     console.error('Fetch admin products error:', err);
@@ -287,22 +894,260 @@ router.get('/admin', protect, admin, async (req, res) => {
   }
 });
 
+// @desc    Export the catalog as CSV (one row per color)
+// @route   GET /api/products/admin/export
+// @access  Admin only
+router.get('/admin/export', protect, admin, async (req, res) => {
+  try {
+    const products = await Product.find({ status: { $ne: 'archived' } }).sort({ brand: 1, modelNumber: 1 });
+    const csv = productsToCsv(products);
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="products-${date}.csv"`);
+    res.send(csv);
+  } catch (err) {
+    console.error('Export products error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Archived products (trash) with how many orders still reference each
+// @route   GET /api/products/admin/trash
+// @access  Admin only
+router.get('/admin/trash', protect, admin, async (req, res) => {
+  try {
+    const products = await Product.find({ status: 'archived' }).select('+priceTiers').sort({ archivedAt: -1 });
+
+    const orderCounts = await Order.aggregate([
+      { $unwind: '$items' },
+      { $match: { 'items.productId': { $in: products.map(p => p._id) } } },
+      { $group: { _id: '$items.productId', orders: { $addToSet: '$_id' } } },
+      { $project: { count: { $size: '$orders' } } }
+    ]);
+    const countById = new Map(orderCounts.map(c => [c._id.toString(), c.count]));
+
+    res.json({
+      success: true,
+      products: products.map(product => ({
+        ...product.toObject(),
+        orderCount: countById.get(product._id.toString()) || 0
+      }))
+    });
+  } catch (err) {
+    console.error('Fetch archived products error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Import products from CSV (create or update by model number)
+// @route   POST /api/products/admin/import?dryRun=true
+// @body    file - CSV in the export format
+// @access  Admin only
+router.post(
+  '/admin/import',
+  protect,
+  admin,
+  csvUpload.single('file'),
+  handleCsvUploadError,
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ success: false, message: 'CSV file is required' });
+      }
+      const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true';
+
+      let parsed;
+      try {
+        parsed = parseImportCsv(req.file.buffer.toString('utf8'));
+      } catch (parseError) {
+        return res.status(400).json({ success: false, message: parseError.message });
+      }
+
+      if (parsed.missingColumns.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Missing required columns: ${parsed.missingColumns.join(', ')}`
+        });
+      }
+
+      const { plans, errors } = await planProductImport(parsed.groups);
+      parsed.ungrouped.forEach(row => {
+        errors.unshift({ row, modelNumber: '', message: 'modelNumber is required' });
+      });
+      errors.sort((a, b) => a.row - b.row);
+
+      const summary = {
+        products: parsed.groups.length,
+        create: plans.filter(plan => !plan.existing).length,
+        update: plans.filter(plan => plan.existing).length,
+        errors: errors.length
+      };
+      const preview = plans.map(plan => ({
+        modelNumber: plan.data.modelNumber,
+        title: plan.data.title,
+        action: plan.existing ? 'update' : 'create',
+        rows: plan.group.rows,
+        colors: plan.colors.length,
+        // ⚠️ Existing colors the import will delete (carts holding them will show a warning)
+        removedColors: plan.removedColors
+      }));
+
+      // Nothing is written unless every row is valid
+      if (dryRun || errors.length > 0) {
+        return res.status(dryRun ? 200 : 400).json({
+          success: errors.length === 0,
+          dryRun,
+          message: errors.length > 0 ? 'Import has validation errors. Nothing was saved.' : 'Dry run passed',
+          summary,
+          products: preview,
+          errors
+        });
+      }
+
+      const actor = adminActor(req.user);
+      const failures = [];
+      for (const plan of plans) {
+        try {
+          await applyProductImport(plan, actor);
+        } catch (writeError) {
+          console.error('Import write error:', writeError);
+          failures.push({
+            row: plan.group.rows[0],
+            modelNumber: plan.data.modelNumber,
+            message: writeError.code === 11000
+              ? 'SKU or barcode is already used by another product'
+              : 'Could not save this product'
+          });
+        }
+      }
+
+      res.status(failures.length > 0 ? 207 : 200).json({
+        success: failures.length === 0,
+        dryRun: false,
+        message: failures.length > 0
+          ? `Imported ${plans.length - failures.length} of ${plans.length} products`
+          : `Imported ${plans.length} products`,
+        summary: { ...summary, errors: failures.length },
+        products: preview,
+        errors: failures
+      });
+    } catch (err) {
+      console.error('Import products error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// @desc    Get single product by its URL slug (public)
+//          Old slugs (from before a rename) answer with a 301 to the current one
+// @route   GET /api/products/slug/:slug
+// @access  Public
+router.get('/slug/:slug', optionalCustomerAuth, async (req, res) => {
+  try {
+    const slug = String(req.params.slug).toLowerCase();
+
+    const product = await Product.findOne({ slug, status: 'active' });
+    if (product) {
+      const [priced] = await attachTierPrices([product], req.user);
+      return res.json({ success: true, product: priced });
+    }
+
+    const renamed = await Product.findOne({ previousSlugs: slug, status: 'active' }).select('slug');
+    if (renamed) {
+      return res
+        .status(301)
+        .location(`${req.baseUrl}/slug/${renamed.slug}`)
+        .json({ success: true, redirect: true, slug: renamed.slug });
+    }
+
+    res.status(404).json({ success: false, message: 'Product not found' });
+  } catch (err) {
+    console.error('Fetch product by slug error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 // @desc    Get single product (public) - ✅ COMES LAST
 // @route   GET /api/products/:id
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalCustomerAuth, async (req, res) => {
   try {
     const product = await Product.findById(req.params.id);
     if (!product || product.status !== 'active') {
       return res.status(404).json({ success: false, message: 'Product not found' });
     }
-    res.json({ success: true, product });
+    const [priced] = await attachTierPrices([product], req.user);
+    res.json({ success: true, product: priced });
   } catch (err) {
     console.error('Fetch public product error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
+// @desc    Price history of a product (newest first)
+// @route   GET /api/products/:id/price-history
+// @query   page, limit
+// @access  Admin only
+router.get('/:id/price-history', protect, admin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+    const product = await Product.findById(req.params.id).select('title brand modelNumber price sale currentPrice onSale');
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const [history, total] = await Promise.all([
+      PriceHistory.find({ product: product._id }).sort({ createdAt: -1, _id: -1 }).skip(skip).limit(limit),
+      PriceHistory.countDocuments({ product: product._id })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        product,
+        history,
+        pagination: {
+          page,
+          pages: Math.ceil(total / limit),
+          limit,
+          total
+        }
+      }
+    });
+  } catch (err) {
+    console.error('Fetch price history error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Related products - frequently bought together, then similar (public)
+// @route   GET /api/products/:id/related
+// @query   limit (default 4, max 12)
+// @access  Public
+router.get('/:id/related', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+    const product = await Product.findOne({ _id: req.params.id, status: 'active' });
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const limit = Math.min(MAX_RELATED, Math.max(1, parseInt(req.query.limit) || 4));
+    const products = await getRelatedProducts(product, limit);
+
+    res.json({ success: true, products });
+  } catch (err) {
+    console.error('Fetch related products error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 // ✅ ADMIN ROUTES (REQUIRES AUTHENTICATION)
 
 // @desc    Create new product
@@ -312,10 +1157,7 @@ router.post(
   '/',
   protect,
   admin,
-  upload.fields([
-    { name: 'images', maxCount: 3 },
-    { name: 'video', maxCount: 1 }
-  ]),
+  upload.fields(productUploadFields),
   handleMulterError,
   async (req, res) => {
     try {
@@ -325,41 +1167,18 @@ router.post(
       
       const { 
         title, description, brand, watchShape, price, 
-        modelNumber, featured, productType, gender 
+        modelNumber, featured, productType, gender, lowStockThreshold,
+        metaTitle, metaDescription
       } = req.body;
       
-      if (!title || !title.trim()) {
-        return res.status(400).json({ success: false, message: 'Title is required' });
-      }
-      if (!description || !description.trim()) {
-        return res.status(400).json({ success: false, message: 'Description is required' });
-      }
-      if (!brand || !brand.trim()) {
-        return res.status(400).json({ success: false, message: 'Brand is required' });
-      }
-      if (!watchShape || !watchShape.trim()) {
-        return res.status(400).json({ success: false, message: 'Watch shape is required' });
-      }
-
-      // ✅ VALIDATE PRODUCT TYPE
-      if (!productType || !['watch', 'wall_clock'].includes(productType)) {
-        return res.status(400).json({ 
-          success: false, 
-          message: 'Valid product type is required (watch or wall_clock)' 
-        });
+      // ✅ VALIDATE REQUIRED FIELDS, PRODUCT TYPE AND GENDER
+      const fieldError = validateProductFields(req.body);
+      if (fieldError) {
+        return res.status(400).json({ success: false, message: fieldError });
       }
 
-      // ✅ HANDLE GENDER BASED ON PRODUCT TYPE
-      let finalGender = undefined;
-      if (productType === 'watch') {
-        if (!gender || !['men', 'women', 'kids', 'unisex'].includes(gender)) {
-          return res.status(400).json({ 
-            success: false, 
-            message: 'Valid gender (men, women, kids, unisex) is required for wrist watches' 
-          });
-        }
-        finalGender = gender;
-      }
+      // ✅ ONLY WATCHES HAVE A GENDER
+      const finalGender = productType === 'watch' ? gender : undefined;
 
       // ✅ USE NEW HELPER FUNCTION TO PARSE COLORS
       const colors = parseColors(req.body);
@@ -372,15 +1191,31 @@ router.post(
         });
       }
 
+      const colorError = await validateColors(colors);
+      if (colorError) {
+        return res.status(400).json({ success: false, message: colorError });
+      }
+
       // ✅ USE NEW HELPER FUNCTION TO PARSE SPECIFICATIONS
       const specifications = parseSpecifications(req.body);
 
+      const finalPrice = price ? parseFloat(price) : null;
+      const { sale, error: saleError } = parseSale(req.body, finalPrice);
+      if (saleError) {
+        return res.status(400).json({ success: false, message: saleError });
+      }
+
+      const { priceTiers, error: tierError } = parsePriceTiers(req.body);
+      if (tierError) {
+        return res.status(400).json({ success: false, message: tierError });
+      }
+
       // ✅ Validate featured limit
       const isFeatured = featured === 'true' || featured === true;
       await validateFeaturedLimit(isFeatured);
 
       const imagePromises = (req.files?.images || []).map(file => 
-        uploadToCloudinary(file, 'happy_time/products/images')
+        uploadMedia(file, 'products/images')
       );
       const imageUrls = await Promise.all(imagePromises);
 
@@ -390,37 +1225,63 @@ router.post(
 
       let videoUrl = null;
       if (req.files?.video?.[0]) {
-        videoUrl = await uploadToCloudinary(req.files.video[0], 'happy_time/products/videos');
+        videoUrl = await uploadMedia(req.files.video[0], 'products/videos');
       }
 
+      const variants = await buildVariants(colors, req.files);
+
       const productData = {
         title: title.trim(),
         description: description.trim(),
         brand: brand.trim(),
-        price: price ? parseFloat(price) : null,
+        price: finalPrice,
+        sale,
+        priceTiers: priceTiers || [],
+        lowStockThreshold: parseThreshold(lowStockThreshold),
         modelNumber: modelNumber?.trim() || 'N/A',
         watchShape: watchShape.trim(),
         productType: productType,
-        colors: colors,
+        colors: variants,
         specifications: specifications,
         images: imageUrls,
         video: videoUrl,
         featured: isFeatured,
+        metaTitle: metaTitle?.trim() || undefined,
+        metaDescription: metaDescription?.trim() || undefined,
         // ✅ ONLY ADD GENDER FOR WATCHES
         ...(finalGender !== undefined && { gender: finalGender })
       };
 
       console.log('Creating product with data:', JSON.stringify(productData, null, 2));
-      const product = await Product.create(productData);
+      const created = await Product.create(productData);
+
+      // ✅ Opening stock goes into the inventory ledger as a restock
+      await recordQuantityEdits([], created, adminActor(req.user), 'Product created');
+      await checkProductStockLevels(created);
+
+      // ✅ Set the current price (sale may already be running) and start the price history
+      const product = await syncProductPrice(created._id, {
+        previous: NO_PRICING,
+        reason: 'created',
+        actor: adminActor(req.user)
+      });
+
       res.status(201).json({ success: true, product });
     } catch (err) {
       console.error('Product creation error:', err);
-      if (err.message && err.message.includes('Cloudinary upload failed')) {
+      if (err.message && err.message.includes('Media upload failed')) {
         return res.status(500).json({ success: false, message: 'Failed to upload media files' });
       }
       if (err.message && err.message.includes('Maximum 4 featured products allowed')) {
         return res.status(400).json({ success: false, message: 'Maximum 4 featured products allowed' });
       }
+      if (err.code === 11000) {
+        return res.status(400).json({ success: false, message: 'SKU or barcode is already used by another product' });
+      }
+      if (err.name === 'ValidationError') {
+        const errors = Object.values(err.errors).map(e => e.message);
+        return res.status(400).json({ success: false, message: errors[0], errors });
+      }
       res.status(500).json({ success: false, message: 'Server error' });
     }
   }
@@ -433,10 +1294,7 @@ router.put(
   '/:id',
   protect,
   admin,
-  upload.fields([
-    { name: 'images', maxCount: 3 },
-    { name: 'video', maxCount: 1 }
-  ]),
+  upload.fields(productUploadFields),
   handleMulterError,
   async (req, res) => {
     try {
@@ -485,9 +1343,27 @@ router.put(
         });
       }
 
+      const colorError = await validateColors(colors, { excludeId: existingProduct._id })
+        || heldColorErrors(findRemovedColors(colors, existingProduct.colors))[0];
+      if (colorError) {
+        return res.status(400).json({ success: false, message: colorError });
+      }
+
       // ✅ USE NEW HELPER FUNCTION TO PARSE SPECIFICATIONS
       const specifications = parseSpecifications(req.body);
 
+      const finalPrice = req.body.price ? parseFloat(req.body.price) : existingProduct.price;
+      const { sale, error: saleError } = parseSale(req.body, finalPrice, existingProduct.sale);
+      if (saleError) {
+        return res.status(400).json({ success: false, message: saleError });
+      }
+
+      // Tiers are only replaced when the form sends them
+      const { priceTiers, error: tierError } = parsePriceTiers(req.body);
+      if (tierError) {
+        return res.status(400).json({ success: false, message: tierError });
+      }
+
       const isFeatured = featured === 'true' || featured === true;
       await validateFeaturedLimit(isFeatured, req.params.id);
 
@@ -496,29 +1372,43 @@ router.put(
 
       if (req.files?.images && req.files.images.length > 0) {
         const newImagePromises = req.files.images.map(file => 
-          uploadToCloudinary(file, 'happy_time/products/images')
+          uploadMedia(file, 'products/images')
         );
         imageUrls = await Promise.all(newImagePromises);
       }
 
       if (req.files?.video?.[0]) {
-        videoUrl = await uploadToCloudinary(req.files.video[0], 'happy_time/products/videos');
+        videoUrl = await uploadMedia(req.files.video[0], 'products/videos');
       }
 
+      const variants = await buildVariants(colors, req.files, existingProduct.colors);
+
       // ✅ BUILD UPDATE DATA WITH PROPER GENDER HANDLING
       const updateData = {
         title: req.body.title?.trim() || existingProduct.title,
         description: req.body.description?.trim() || existingProduct.description,
         brand: req.body.brand?.trim() || existingProduct.brand,
-        price: req.body.price ? parseFloat(req.body.price) : existingProduct.price,
+        price: finalPrice,
+        sale,
+        ...(priceTiers !== undefined && { priceTiers }),
+        lowStockThreshold: req.body.lowStockThreshold !== undefined
+          ? parseThreshold(req.body.lowStockThreshold)
+          : existingProduct.lowStockThreshold,
         modelNumber: req.body.modelNumber?.trim() || existingProduct.modelNumber || 'N/A',
         watchShape: req.body.watchShape?.trim() || existingProduct.watchShape,
         productType: finalProductType,
-        colors: colors,
+        colors: variants,
         specifications: specifications,
         images: imageUrls,
         video: videoUrl,
         featured: isFeatured,
+        // Sending an empty meta field clears it
+        metaTitle: req.body.metaTitle !== undefined
+          ? req.body.metaTitle.trim()
+          : existingProduct.metaTitle,
+        metaDescription: req.body.metaDescription !== undefined
+          ? req.body.metaDescription.trim()
+          : existingProduct.metaDescription,
       };
 
       // ✅ HANDLE GENDER UPDATE BASED ON PRODUCT TYPE
@@ -526,44 +1416,330 @@ router.put(
         updateData.gender = finalGender;
       } else {
         // Remove gender field for wall clocks
-        await Product.findByIdAndUpdate(
-          req.params.id,
-          { $unset: { gender: "" } },
-          { new: true }
-        );
+        updateData.$unset = { gender: '' };
       }
 
-      const product = await Product.findByIdAndUpdate(
-        req.params.id,
+      // ✅ Only save if no color's stock moved since we read it - the form's numbers would
+      // otherwise undo a reservation or sale made in between (and log it as an adjustment)
+      const stockGuard = existingProduct.colors.map(c => ({
+        colors: {
+          $elemMatch: {
+            _id: c._id,
+            quantity: c.quantity ?? null,
+            reserved: c.reserved ? c.reserved : { $in: [0, null] }
+          }
+        }
+      }));
+      const updated = await Product.findOneAndUpdate(
+        { _id: req.params.id, ...(stockGuard.length > 0 && { $and: stockGuard }) },
         updateData,
-        { new: true }
+        { new: true, runValidators: true }
       );
+      if (!updated) {
+        // Files uploaded for this attempt are not used by anything
+        const kept = new Set(collectMediaUrls(existingProduct));
+        await deleteMedia(collectMediaUrls({ images: imageUrls, video: videoUrl, colors: variants }).filter(url => !kept.has(url)));
+        return res.status(409).json({ success: false, message: 'Stock changed while saving. Please reload the product and try again.' });
+      }
+
+      // ✅ Quantities typed into the edit form are recorded as manual adjustments
+      await recordQuantityEdits(existingProduct.colors, updated, adminActor(req.user), 'Product edited');
+      await checkProductStockLevels(updated);
+
+      // ✅ Apply the new price/sale and record it in the price history
+      const product = await syncProductPrice(updated._id, {
+        previous: pricingOf(existingProduct),
+        reason: 'edit',
+        actor: adminActor(req.user)
+      });
+
+      // ✅ Remove gallery/video/color images that were replaced by this edit
+      const stillUsed = new Set(collectMediaUrls(product));
+      await deleteMedia(collectMediaUrls(existingProduct).filter(url => !stillUsed.has(url)));
+
       res.json({ success: true, product });
     } catch (err) {
       console.error('Product update error:', err);
-      if (err.message && err.message.includes('Cloudinary upload failed')) {
+      if (err.message && err.message.includes('Media upload failed')) {
         return res.status(500).json({ success: false, message: 'Failed to upload media files' });
       }
       if (err.message && err.message.includes('Maximum 4 featured products allowed')) {
         return res.status(400).json({ success: false, message: 'Maximum 4 featured products allowed' });
       }
+      if (err.code === 11000) {
+        return res.status(400).json({ success: false, message: 'SKU or barcode is already used by another product' });
+      }
+      if (err.name === 'ValidationError') {
+        const errors = Object.values(err.errors).map(e => e.message);
+        return res.status(400).json({ success: false, message: errors[0], errors });
+      }
       res.status(500).json({ success: false, message: 'Server error' });
     }
   }
 );
 
-// @desc    Delete product
+// ✅ PRODUCT MEDIA ROUTES (gallery images - images[0] is the primary image)
+
+const MAX_PRODUCT_IMAGES = 6;
+
+// @desc    Append images to a product
+// @route   POST /api/products/:id/images
+// @access  Admin only
+router.post(
+  '/:id/images',
+  protect,
+  admin,
+  upload.fields([{ name: 'images', maxCount: 3 }]),
+  handleMulterError,
+  async (req, res) => {
+    try {
+      const product = await Product.findById(req.params.id);
+      if (!product) {
+        return res.status(404).json({ success: false, message: 'Product not found' });
+      }
+
+      const files = req.files?.images || [];
+      if (files.length === 0) {
+        return res.status(400).json({ success: false, message: 'No images uploaded' });
+      }
+      if (product.images.length + files.length > MAX_PRODUCT_IMAGES) {
+        return res.status(400).json({
+          success: false,
+          message: `A product can have at most ${MAX_PRODUCT_IMAGES} images`
+        });
+      }
+
+      const imageUrls = await Promise.all(
+        files.map(file => uploadMedia(file, 'products/images'))
+      );
+
+      const updated = await Product.findByIdAndUpdate(
+        req.params.id,
+        { $push: { images: { $each: imageUrls } } },
+        { new: true }
+      );
+      res.status(201).json({ success: true, product: updated });
+    } catch (err) {
+      console.error('Add product images error:', err);
+      if (err.message && err.message.includes('Media upload failed')) {
+        return res.status(500).json({ success: false, message: 'Failed to upload media files' });
+      }
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// @desc    Delete one image from a product
+// @route   DELETE /api/products/:id/images
+// @body    url
+// @access  Admin only
+router.delete('/:id/images', protect, admin, async (req, res) => {
+  try {
+    const { url } = req.body;
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+    if (!url || !product.images.includes(url)) {
+      return res.status(404).json({ success: false, message: 'Image not found on this product' });
+    }
+    if (product.images.length === 1) {
+      return res.status(400).json({ success: false, message: 'At least one image is required' });
+    }
+
+    const updated = await Product.findByIdAndUpdate(
+      req.params.id,
+      { $pull: { images: url } },
+      { new: true }
+    );
+
+    // Only remove the asset if a color variant isn't using it too
+    if (!collectMediaUrls(updated).includes(url)) {
+      await deleteMedia([url]);
+    }
+
+    res.json({ success: true, message: 'Image deleted successfully', product: updated });
+  } catch (err) {
+    console.error('Delete product image error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Reorder product images
+// @route   PUT /api/products/:id/images/order
+// @body    images - the product's current image URLs in the new order
+// @access  Admin only
+router.put('/:id/images/order', protect, admin, async (req, res) => {
+  try {
+    const { images } = req.body;
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const current = [...product.images].sort();
+    const requested = Array.isArray(images) ? [...images].sort() : [];
+    const sameImages = current.length === requested.length
+      && current.every((url, index) => url === requested[index]);
+    if (!sameImages) {
+      return res.status(400).json({
+        success: false,
+        message: 'Images must list every current product image exactly once'
+      });
+    }
+
+    product.images = images;
+    await product.save();
+    res.json({ success: true, product });
+  } catch (err) {
+    console.error('Reorder product images error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Mark an image as the primary (first) image
+// @route   PUT /api/products/:id/images/primary
+// @body    url
+// @access  Admin only
+router.put('/:id/images/primary', protect, admin, async (req, res) => {
+  try {
+    const { url } = req.body;
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+    if (!url || !product.images.includes(url)) {
+      return res.status(404).json({ success: false, message: 'Image not found on this product' });
+    }
+
+    product.images = [url, ...product.images.filter(image => image !== url)];
+    await product.save();
+    res.json({ success: true, product });
+  } catch (err) {
+    console.error('Set primary image error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Archive product (soft delete) - hidden from the shop, kept for order history
 // @route   DELETE /api/products/:id
 // @access  Admin only
 router.delete('/:id', protect, admin, async (req, res) => {
   try {
-    const product = await Product.findByIdAndDelete(req.params.id);
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+    if (product.status === 'archived') {
+      return res.status(400).json({ success: false, message: 'Product is already archived' });
+    }
+
+    await Product.updateOne(
+      { _id: product._id },
+      { $set: { status: 'archived', archivedAt: new Date(), statusBeforeArchive: product.status } }
+    );
+    // ✅ Nothing to reorder for a product that is off sale
+    await StockAlert.updateMany(
+      { product: product._id, status: { $in: ['open', 'acknowledged'] } },
+      { $set: { status: 'resolved', resolvedAt: new Date() } }
+    );
+
+    res.json({ success: true, message: 'Product moved to trash' });
+  } catch (err) {
+    console.error('Archive product error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Restore an archived product to the status it had before
+// @route   POST /api/products/:id/restore
+// @access  Admin only
+router.post('/:id/restore', protect, admin, async (req, res) => {
+  try {
+    const product = await Product.findOne({ _id: req.params.id, status: 'archived' });
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Archived product not found' });
+    }
+
+    // Don't let a restore push the legacy featured flag past its limit
+    const stillFeatured = product.featured
+      ? await Product.countDocuments({ featured: true, status: { $ne: 'archived' } }) < 4
+      : false;
+
+    const restored = await Product.findByIdAndUpdate(
+      product._id,
+      {
+        $set: {
+          status: product.statusBeforeArchive || 'inactive',
+          archivedAt: null,
+          statusBeforeArchive: null,
+          featured: stillFeatured
+        }
+      },
+      { new: true }
+    );
+    await checkProductStockLevels(restored);
+
+    res.json({ success: true, message: 'Product restored successfully', product: restored });
+  } catch (err) {
+    console.error('Restore product error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Permanently delete an archived product, its media and everything that points at it
+//          (carts, wishlists, collections, reviews, price history, ledger, alerts, recommendations)
+//          Refused while any order still references the product
+// @route   DELETE /api/products/:id/purge
+// @access  Admin only
+router.delete('/:id/purge', protect, admin, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
     if (!product) {
       return res.status(404).json({ success: false, message: 'Product not found' });
     }
-    res.json({ success: true, message: 'Product deleted successfully' });
+    if (product.status !== 'archived') {
+      return res.status(400).json({ success: false, message: 'Only archived products can be permanently deleted' });
+    }
+
+    const orderCount = await Order.countDocuments({ 'items.productId': product._id });
+    if (orderCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Product is referenced by ${orderCount} order(s) and cannot be permanently deleted`
+      });
+    }
+
+    // Orders can only be placed for active products, so requiring "archived" in the delete
+    // itself keeps a product that was restored (and ordered) meanwhile from being deleted
+    const deleted = await Product.findOneAndDelete({ _id: product._id, status: 'archived' });
+    if (!deleted) {
+      return res.status(400).json({ success: false, message: 'Product was restored or changed. Please try again.' });
+    }
+
+    // ✅ Remove the product's media and every remaining reference to it
+    await deleteMedia(collectMediaUrls(deleted));
+    await Promise.all([
+      Collection.updateMany({ products: deleted._id }, { $pull: { products: deleted._id } }),
+      Customer.updateMany(
+        { $or: [{ 'cart.productId': deleted._id }, { 'wishlist.productId': deleted._id }] },
+        { $pull: { cart: { productId: deleted._id }, wishlist: { productId: deleted._id } } }
+      ),
+      GuestCart.updateMany({ 'cart.productId': deleted._id }, { $pull: { cart: { productId: deleted._id } } }),
+      StockAlert.deleteMany({ product: deleted._id }),
+      Review.deleteMany({ product: deleted._id }),
+      PriceHistory.deleteMany({ product: deleted._id }),
+      InventoryMovement.deleteMany({ product: deleted._id }),
+      ProductRecommendation.deleteMany({ product: deleted._id }),
+      ProductRecommendation.updateMany(
+        { 'related.product': deleted._id },
+        { $pull: { related: { product: deleted._id } } }
+      )
+    ]);
+
+    res.json({ success: true, message: 'Product permanently deleted' });
   } catch (err) {
-    console.error('Delete product error:', err);
+    console.error('Purge product error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
@@ -0,0 +1,219 @@
+// server/routes/reviewRoutes.js
+const express = require('express');
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const Product = require('../models/Product');
+const { customerAuth } = require('../middleware/customerAuth');
+const { parsePagination } = require('../utils/productQuery');
+const { refreshProductRating, ratingDistribution, findDeliveredOrder } = require('../utils/reviews');
+
+const router = express.Router();
+
+// ✅ Helper: Pick the review fields a customer may set
+const pickReviewFields = ({ rating, title, comment }) => ({
+  ...(rating !== undefined && { rating: Number(rating) }),
+  ...(title !== undefined && { title }),
+  ...(comment !== undefined && { comment })
+});
+
+const handleReviewError = (res, err, label) => {
+  console.error(`${label} error:`, err);
+  if (err.code === 11000) {
+    return res.status(400).json({ success: false, message: 'You have already reviewed this product' });
+  }
+  if (err.name === 'ValidationError') {
+    const errors = Object.values(err.errors).map(e => e.message);
+    return res.status(400).json({ success: false, message: errors[0], errors });
+  }
+  res.status(500).json({ success: false, message: 'Server error' });
+};
+
+// @desc    Approved reviews for a product, with its rating summary (public)
+// @route   GET /api/reviews/product/:productId
+// @query   page, limit
+// @access  Public
+router.get('/product/:productId', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.productId)) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+    const product = await Product.findOne({ _id: req.params.productId, status: 'active' })
+      .select('ratingAverage ratingCount');
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const query = { product: product._id, status: 'approved' };
+
+    const [reviews, total, distribution] = await Promise.all([
+      Review.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select('-order')
+        .populate('customer', 'fullName'),
+      Review.countDocuments(query),
+      ratingDistribution(product._id)
+    ]);
+
+    res.json({
+      success: true,
+      summary: {
+        ratingAverage: product.ratingAverage,
+        ratingCount: product.ratingCount,
+        distribution
+      },
+      reviews,
+      pagination: {
+        page,
+        pages: Math.ceil(total / limit),
+        limit,
+        total
+      }
+    });
+  } catch (err) {
+    console.error('Fetch product reviews error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Reviews written by the logged-in customer
+// @route   GET /api/reviews/mine
+// @access  Private
+router.get('/mine', customerAuth, async (req, res) => {
+  try {
+    const reviews = await Review.find({ customer: req.user.id })
+      .sort({ createdAt: -1 })
+      .populate('product', 'title brand images slug');
+    res.json({ success: true, reviews });
+  } catch (err) {
+    console.error('Fetch my reviews error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Can the logged-in customer review this product?
+// @route   GET /api/reviews/eligibility/:productId
+// @access  Private
+router.get('/eligibility/:productId', customerAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.productId)) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+    const [order, existing] = await Promise.all([
+      findDeliveredOrder(req.user.id, req.params.productId),
+      Review.findOne({ product: req.params.productId, customer: req.user.id }).select('_id')
+    ]);
+
+    res.json({
+      success: true,
+      canReview: Boolean(order) && !existing,
+      hasPurchased: Boolean(order),
+      reviewId: existing ? existing._id : null
+    });
+  } catch (err) {
+    console.error('Review eligibility error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Review a product the customer has received
+// @route   POST /api/reviews
+// @body    productId, rating (1-5), title?, comment?
+// @access  Private
+router.post('/', customerAuth, async (req, res) => {
+  try {
+    const { productId } = req.body;
+    if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({ success: false, message: 'Valid product ID is required' });
+    }
+
+    const product = await Product.findOne({ _id: productId, status: { $ne: 'archived' } }).select('_id');
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    // ✅ Verified purchase only
+    const order = await findDeliveredOrder(req.user.id, product._id);
+    if (!order) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only review products from your delivered orders'
+      });
+    }
+
+    const review = await Review.create({
+      ...pickReviewFields(req.body),
+      product: product._id,
+      customer: req.user.id,
+      order: order._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Thank you! Your review will appear once it has been approved.',
+      review
+    });
+  } catch (err) {
+    handleReviewError(res, err, 'Create review');
+  }
+});
+
+// @desc    Edit own review (goes back to moderation)
+// @route   PUT /api/reviews/:id
+// @body    rating?, title?, comment?
+// @access  Private
+router.put('/:id', customerAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Review not found' });
+    }
+    const review = await Review.findOne({ _id: req.params.id, customer: req.user.id });
+    if (!review) {
+      return res.status(404).json({ success: false, message: 'Review not found' });
+    }
+
+    const wasApproved = review.status === 'approved';
+    review.set(pickReviewFields(req.body));
+    review.status = 'pending';
+    await review.save();
+
+    if (wasApproved) {
+      await refreshProductRating(review.product);
+    }
+
+    res.json({
+      success: true,
+      message: 'Review updated. It will appear again once it has been approved.',
+      review
+    });
+  } catch (err) {
+    handleReviewError(res, err, 'Update review');
+  }
+});
+
+// @desc    Delete own review
+// @route   DELETE /api/reviews/:id
+// @access  Private
+router.delete('/:id', customerAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Review not found' });
+    }
+    const review = await Review.findOneAndDelete({ _id: req.params.id, customer: req.user.id });
+    if (!review) {
+      return res.status(404).json({ success: false, message: 'Review not found' });
+    }
+
+    if (review.status === 'approved') {
+      await refreshProductRating(review.product);
+    }
+    res.json({ success: true, message: 'Review deleted successfully' });
+  } catch (err) {
+    console.error('Delete review error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,171 @@
+// server/routes/wishlistRoutes.js
+const express = require('express');
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const Product = require('../models/Product');
+const { customerAuth } = require('../middleware/customerAuth');
+const { addItemToCart, customerCartResponse } = require('../utils/cart');
+
+const router = express.Router();
+
+const isInStock = (color) => color.quantity === null || color.quantity === undefined || color.quantity > 0;
+
+// ✅ Helper: Wishlist line with availability flags for the storefront
+// unavailableReason: inactive | color_unavailable | out_of_stock | null
+const presentWishlistItem = (item) => {
+  const data = item.toObject();
+  const product = item.productId && item.productId.status ? item.productId : null;
+
+  let variant = null;
+  let unavailableReason = null;
+  if (!product || product.status !== 'active') {
+    unavailableReason = 'inactive';
+  } else if (item.variantId || item.selectedColor) {
+    variant = product.findVariant(item.variantId, item.selectedColor);
+    if (!variant) unavailableReason = 'color_unavailable';
+    else if (!isInStock(variant)) unavailableReason = 'out_of_stock';
+  } else if (!product.colors.some(isInStock)) {
+    unavailableReason = 'out_of_stock';
+  }
+
+  return {
+    ...data,
+    selectedColor: variant ? variant.name : data.selectedColor,
+    isActive: Boolean(product && product.status === 'active'),
+    inStock: unavailableReason === null,
+    unavailableReason
+  };
+};
+
+const loadWishlist = async (customerId) => {
+  const customer = await Customer.findById(customerId).populate('wishlist.productId');
+  return customer.wishlist.map(presentWishlistItem);
+};
+
+// @desc    Get customer wishlist
+// @route   GET /api/wishlist
+// @access  Private
+router.get('/', customerAuth, async (req, res) => {
+  try {
+    const wishlist = await loadWishlist(req.user.id);
+    res.json({ success: true, wishlist });
+  } catch (err) {
+    console.error('Get wishlist error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Add a product (optionally a specific color) to the wishlist
+// @route   POST /api/wishlist
+// @body    productId, variantId?, selectedColor?
+// @access  Private
+router.post('/', customerAuth, async (req, res) => {
+  try {
+    const { productId, variantId, selectedColor } = req.body;
+    if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({ success: false, message: 'Valid product ID is required' });
+    }
+
+    const product = await Product.findOne({ _id: productId, status: 'active' });
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    let variant = null;
+    if (variantId || selectedColor) {
+      variant = product.findVariant(variantId, selectedColor);
+      if (!variant) {
+        return res.status(400).json({ success: false, message: 'Selected color is not available for this product' });
+      }
+    }
+
+    const customer = await Customer.findById(req.user.id);
+    const alreadySaved = customer.wishlist.some(item =>
+      item.productId.toString() === product._id.toString() &&
+      String(item.variantId || '') === String(variant ? variant._id : '')
+    );
+
+    if (!alreadySaved) {
+      customer.wishlist.push({
+        productId: product._id,
+        variantId: variant ? variant._id : null,
+        selectedColor: variant ? variant.name : ''
+      });
+      await customer.save();
+    }
+
+    res.json({
+      success: true,
+      message: alreadySaved ? 'Item is already in your wishlist' : 'Item added to wishlist',
+      wishlist: await loadWishlist(req.user.id)
+    });
+  } catch (err) {
+    console.error('Add to wishlist error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Move a wishlist item into the cart
+// @route   POST /api/wishlist/:itemId/move-to-cart
+// @body    quantity?, variantId? / selectedColor? (required if the item has no color)
+// @access  Private
+router.post('/:itemId/move-to-cart', customerAuth, async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.user.id);
+    const item = customer.wishlist.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ success: false, message: 'Wishlist item not found' });
+    }
+
+    // ✅ Same checks as adding to the cart directly
+    await addItemToCart(customer, {
+      productId: item.productId,
+      variantId: req.body.variantId || item.variantId,
+      selectedColor: req.body.selectedColor || item.selectedColor,
+      quantity: req.body.quantity
+    });
+    customer.wishlist.pull(item._id);
+    await customer.save();
+
+    // ✅ Same priced cart (lines + summary) the cart routes answer with
+    res.json({
+      success: true,
+      message: 'Item moved to cart',
+      ...(await customerCartResponse(customer)),
+      wishlist: await loadWishlist(req.user.id)
+    });
+  } catch (err) {
+    if (err.code === 'CART_ITEM_INVALID') {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Move to cart error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Remove item from wishlist
+// @route   DELETE /api/wishlist/:itemId
+// @access  Private
+router.delete('/:itemId', customerAuth, async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.user.id);
+    const item = customer.wishlist.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ success: false, message: 'Wishlist item not found' });
+    }
+
+    customer.wishlist.pull(item._id);
+    await customer.save();
+
+    res.json({
+      success: true,
+      message: 'Item removed from wishlist',
+      wishlist: await loadWishlist(req.user.id)
+    });
+  } catch (err) {
+    console.error('Remove from wishlist error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -8,6 +8,12 @@ const morgan = require('morgan');
 const path = require('path'); // ✅ Added path import
 require('dotenv').config();
 const { scheduleDailyCleanup } = require('./utils/cleanup');
+const { releaseExpiredReservations, scheduleReservationExpiry } = require('./utils/stockReservation');
+const { refreshRecommendations, scheduleRecommendationRefresh } = require('./utils/recommendations');
+const { scheduleAbandonedCartJob } = require('./utils/abandonedCarts');
+const { applyScheduledPrices, schedulePriceUpdates } = require('./utils/pricing');
+const Product = require('./models/Product');
+const Customer = require('./models/Customer');
 
 
 // ======================
@@ -20,6 +26,7 @@ const productRoutes = require('./routes/productRoutes');
 const cloudinary = require('./config/cloudinary');
 const customerRoutes = require('./routes/customerRoutes');
 const cartRoutes = require('./routes/cartRoutes');
+const guestCartRoutes = require('./routes/guestCartRoutes');
 const adminRoutes = require('./routes/adminRoutes');
 const applicationRoutes = require('./routes/applicationRoutes');
 const adminApplicationRoutes = require('./routes/adminApplicationRoutes');
@@ -28,6 +35,13 @@ const adminProfileRoutes = require('./routes/adminProfileRoutes');
 const orderRoutes = require('./routes/orderRoutes');
 
 const adminOrderRoutes = require('./routes/adminOrderRoutes');
+const adminInventoryRoutes = require('./routes/adminInventoryRoutes');
+const collectionRoutes = require('./routes/collectionRoutes');
+const adminCollectionRoutes = require('./routes/adminCollectionRoutes');
+const reviewRoutes = require('./routes/reviewRoutes');
+const adminReviewRoutes = require('./routes/adminReviewRoutes');
+const adminCartRoutes = require('./routes/adminCartRoutes');
+const wishlistRoutes = require('./routes/wishlistRoutes');
 
 
 const app = express();
@@ -75,8 +89,12 @@ app.use('/api/auth', authRoutes);
 app.use('/api/vacancies', vacancyRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/products', productRoutes);
+app.use('/api/collections', collectionRoutes);
+app.use('/api/reviews', reviewRoutes);
 app.use('/api/customers', customerRoutes);
 app.use('/api/cart', cartRoutes);
+app.use('/api/guest-cart', guestCartRoutes);
+app.use('/api/wishlist', wishlistRoutes);
 app.use('/api/applications', applicationRoutes);
 app.use('/api/orders', orderRoutes); // ✅ ADD THIS LINE
 app.use('/api/admin', adminProfileRoutes);
@@ -85,6 +103,10 @@ app.use('/api/admin', adminRoutes);
 app.use('/api/admin/applications', adminApplicationRoutes); // ✅ Different path
 
 app.use('/api/admin', adminOrderRoutes);
+app.use('/api/admin', adminInventoryRoutes);
+app.use('/api/admin', adminCollectionRoutes);
+app.use('/api/admin', adminReviewRoutes);
+app.use('/api/admin', adminCartRoutes);
 
 //30days Delete rejected applications
 app.get('/test-cleanup', async (req, res) => {
@@ -138,6 +160,31 @@ const startServer = async () => {
     await mongoose.connect(process.env.MONGO_URI);
     console.log('✅ MongoDB connected successfully');
 
+    // ✅ Make sure older products can be found by the fuzzy search fallback
+    const backfilled = await Product.backfillSearchKeys();
+    if (backfilled > 0) {
+      console.log(`🔎 Search keys generated for ${backfilled} products`);
+    }
+
+    // ✅ Older products get a current price, then start/end any sales that are due
+    await Product.backfillCurrentPrices();
+    await applyScheduledPrices();
+
+    // ✅ Older cart lines get stored timestamps (abandoned cart detection relies on them)
+    await Customer.backfillCartTimestamps();
+
+    // ✅ SKU / barcode uniqueness moved to the product routes
+    const droppedIndexes = await Product.dropUniqueVariantCodeIndexes();
+    if (droppedIndexes > 0) {
+      console.log(`🏷️ Dropped ${droppedIndexes} unique SKU/barcode indexes`);
+    }
+
+    // ✅ Give older products a URL slug
+    const slugged = await Product.backfillSlugs();
+    if (slugged > 0) {
+      console.log(`🔗 Slugs generated for ${slugged} products`);
+    }
+
     const PORT = process.env.PORT || 5000;
     app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
@@ -147,6 +194,29 @@ const startServer = async () => {
     scheduleDailyCleanup();
     console.log('🧹 Daily cleanup scheduled for 2 AM');
 
+    // ✅ Release stock held by orders that stayed in pending_payment too long
+    // (the server is already listening - a failed sweep must not take it down)
+    try {
+      await releaseExpiredReservations();
+    } catch (error) {
+      console.error('❌ Startup reservation sweep failed:', error.message);
+    }
+    scheduleReservationExpiry();
+    console.log('⏳ Stock reservation expiry scheduled');
+
+    // ✅ Start and end scheduled sales automatically
+    schedulePriceUpdates();
+    console.log('🏷️ Sale price updates scheduled');
+
+    // ✅ Build related products in the background - the catalog works without them
+    refreshRecommendations().catch(() => {});
+    scheduleRecommendationRefresh();
+    console.log('🧭 Related products refresh scheduled');
+
+    // ✅ Queue and send reminders for carts left behind
+    scheduleAbandonedCartJob();
+    console.log('🛒 Abandoned cart reminders scheduled');
+
   } catch (error) {
     console.error('❌ Database connection failed:', error.message);
     process.exit(1);
@@ -0,0 +1,290 @@
+// server/utils/abandonedCarts.js
+// ✅ Find carts customers walked away from and queue reminders for them
+const Customer = require('../models/Customer');
+const Order = require('../models/Order');
+const CartReminder = require('../models/CartReminder');
+const { summarizeCart } = require('./cart');
+const notifications = require('./notifications');
+
+// A cart counts as abandoned after this long without changes (hours)
+const getIdleHours = () => {
+  const hours = parseFloat(process.env.ABANDONED_CART_IDLE_HOURS);
+  return Number.isFinite(hours) && hours > 0 ? hours : 24;
+};
+
+// How often the reminder job runs (minutes)
+const getSweepMinutes = () => {
+  const minutes = parseFloat(process.env.ABANDONED_CART_SWEEP_MINUTES);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : 60;
+};
+
+// Reminders queued / sent per run - the next run picks up the rest
+const BATCH_SIZE = 200;
+// Delivery attempts before a reminder is marked failed
+const MAX_SEND_ATTEMPTS = 3;
+
+// Latest line activity of a cart (lines saved before timestamps fall back to the customer's updatedAt).
+// Pass a lean customer - hydrated lines report the schema default ("now") for a missing updatedAt.
+const cartLastActivity = (customer) => {
+  const times = (customer.cart || []).map(line => new Date(line.updatedAt || customer.updatedAt).getTime());
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+};
+
+/**
+ * Aggregation stages selecting active customers whose cart has been idle since `cutoff`
+ * and who have not placed an order since. With `remindable`, opted-out customers and
+ * carts already reminded about for this idle period are left out too.
+ */
+const abandonedCartStages = (cutoff, { remindable = false } = {}) => {
+  const stages = [
+    { $match: { isActive: true, 'cart.0': { $exists: true } } },
+    {
+      $addFields: {
+        cartLastActivityAt: {
+          $max: {
+            $map: { input: '$cart', as: 'line', in: { $ifNull: ['$$line.updatedAt', '$updatedAt'] } }
+          }
+        }
+      }
+    },
+    { $match: { cartLastActivityAt: { $lt: cutoff } } },
+    {
+      $lookup: {
+        from: Order.collection.name,
+        let: { customerId: '$_id', since: '$cartLastActivityAt' },
+        pipeline: [
+          { $match: { $expr: { $and: [{ $eq: ['$customer', '$$customerId'] }, { $gte: ['$createdAt', '$$since'] }] } } },
+          { $limit: 1 },
+          { $project: { _id: 1 } }
+        ],
+        as: 'laterOrders'
+      }
+    },
+    { $match: { laterOrders: { $size: 0 } } }
+  ];
+
+  if (remindable) {
+    stages.push(
+      { $match: { 'notificationPreferences.cartReminders': { $ne: false } } },
+      {
+        $lookup: {
+          from: CartReminder.collection.name,
+          let: { customerId: '$_id', since: '$cartLastActivityAt' },
+          pipeline: [
+            { $match: { $expr: { $and: [{ $eq: ['$customer', '$$customerId'] }, { $gte: ['$cartLastActivityAt', '$$since'] }] } } },
+            { $limit: 1 },
+            { $project: { _id: 1 } }
+          ],
+          as: 'reminders'
+        }
+      },
+      { $match: { reminders: { $size: 0 } } }
+    );
+  }
+  return stages;
+};
+
+/**
+ * Abandoned carts, longest idle first, with each cart priced like GET /api/cart.
+ * Resolves to { carts, total }.
+ */
+const findAbandonedCarts = async ({ idleHours = getIdleHours(), skip = 0, limit = 20, remindable = false } = {}) => {
+  const cutoff = new Date(Date.now() - idleHours * 60 * 60 * 1000);
+
+  const [result] = await Customer.aggregate([
+    ...abandonedCartStages(cutoff, { remindable }),
+    { $sort: { cartLastActivityAt: 1, _id: 1 } },
+    {
+      $facet: {
+        carts: [
+          { $skip: skip },
+          { $limit: limit },
+          { $project: { _id: 1, cartLastActivityAt: 1 } }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const ids = result.carts.map(cart => cart._id);
+  const customers = await Customer.find({ _id: { $in: ids } })
+    .select('fullName username email mobileNumber cart businessDetails businessVerification notificationPreferences updatedAt')
+    .populate('cart.productId');
+  const byId = new Map(customers.map(customer => [customer._id.toString(), customer]));
+  // Stored line timestamps (hydrated lines would show the schema default for missing ones)
+  const rawLines = await Customer.find({ _id: { $in: ids } }).select('cart._id cart.addedAt cart.updatedAt updatedAt').lean();
+  const lineTimes = new Map();
+  rawLines.forEach(raw => (raw.cart || []).forEach(line => lineTimes.set(line._id.toString(), {
+    addedAt: line.addedAt || raw.updatedAt,
+    updatedAt: line.updatedAt || raw.updatedAt
+  })));
+
+  const carts = [];
+  for (const { _id, cartLastActivityAt } of result.carts) {
+    const customer = byId.get(_id.toString());
+    if (!customer) continue;
+    const { items, subtotal, itemCount } = await summarizeCart(customer.cart, customer);
+    carts.push({
+      customer: {
+        _id: customer._id,
+        fullName: customer.fullName,
+        username: customer.username,
+        email: customer.email || '',
+        mobileNumber: customer.mobileNumber
+      },
+      optedOut: customer.notificationPreferences?.cartReminders === false,
+      cartLastActivityAt,
+      idleHours: Math.floor((Date.now() - new Date(cartLastActivityAt).getTime()) / (60 * 60 * 1000)),
+      items: items.map(item => ({
+        productId: item.productId?._id || item.productId,
+        title: item.productId?.title || '',
+        selectedColor: item.selectedColor,
+        quantity: item.quantity,
+        unitPrice: item.unitPrice,
+        lineTotal: item.lineTotal,
+        addedAt: lineTimes.get(item._id.toString())?.addedAt || null,
+        updatedAt: lineTimes.get(item._id.toString())?.updatedAt || null
+      })),
+      itemCount,
+      cartValue: subtotal
+    });
+  }
+
+  return { carts, total: result.total[0]?.count || 0 };
+};
+
+// Queue one reminder for every remindable abandoned cart (up to BATCH_SIZE per run)
+const queueCartReminders = async () => {
+  const { carts } = await findAbandonedCarts({ limit: BATCH_SIZE, remindable: true });
+
+  const reminders = carts.map(cart => ({
+    customer: cart.customer._id,
+    // Email when we have an address, otherwise a text message
+    channel: cart.customer.email ? 'email' : 'sms',
+    recipient: cart.customer.email || cart.customer.mobileNumber,
+    cartLastActivityAt: cart.cartLastActivityAt,
+    items: cart.items.map(({ productId, title, selectedColor, quantity, unitPrice }) => ({
+      productId, title, selectedColor, quantity, unitPrice
+    })),
+    cartValue: cart.cartValue
+  }));
+
+  if (reminders.length > 0) {
+    await CartReminder.insertMany(reminders);
+  }
+  return reminders.length;
+};
+
+const reminderMessage = (reminder, customer) => {
+  const cartUrl = `${(process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/+$/, '')}/cart`;
+  const lines = reminder.items.map(item =>
+    `- ${item.title}${item.selectedColor ? ` (${item.selectedColor})` : ''} x ${item.quantity}`
+  );
+  return {
+    subject: 'You left something in your cart',
+    text: [
+      `Hi ${customer.fullName},`,
+      '',
+      'These items are still waiting in your cart:',
+      ...lines,
+      '',
+      `Complete your order: ${cartUrl}`,
+      '',
+      'To stop cart reminders, turn them off in your account settings.'
+    ].join('\n')
+  };
+};
+
+/**
+ * Send queued reminders through the notification driver.
+ * A reminder is skipped if the customer has opted out since it was queued, and cancelled
+ * if the cart was emptied or changed (or the account deactivated) in the meantime.
+ */
+const sendQueuedReminders = async () => {
+  const reminders = await CartReminder.find({ status: 'queued' })
+    .sort({ createdAt: 1 })
+    .limit(BATCH_SIZE)
+    .populate({
+      path: 'customer',
+      select: 'fullName isActive cart notificationPreferences updatedAt',
+      options: { lean: true }
+    });
+
+  const counts = { sent: 0, failed: 0, skipped: 0, cancelled: 0 };
+  for (const reminder of reminders) {
+    const customer = reminder.customer;
+    const lastActivity = customer ? cartLastActivity(customer) : null;
+
+    if (customer && customer.notificationPreferences?.cartReminders === false) {
+      reminder.status = 'skipped';
+    } else if (
+      !customer ||
+      !customer.isActive ||
+      !lastActivity ||
+      lastActivity.getTime() > reminder.cartLastActivityAt.getTime()
+    ) {
+      reminder.status = 'cancelled';
+    } else {
+      try {
+        const { subject, text } = reminderMessage(reminder, customer);
+        const result = await notifications.send({
+          channel: reminder.channel,
+          to: reminder.recipient,
+          subject,
+          text
+        });
+        reminder.status = 'sent';
+        reminder.sentAt = new Date();
+        reminder.driver = result.driver;
+        reminder.messageId = result.id;
+        reminder.lastError = '';
+      } catch (error) {
+        reminder.lastError = error.message;
+        if (reminder.attempts + 1 >= MAX_SEND_ATTEMPTS) {
+          reminder.status = 'failed';
+        }
+      }
+      reminder.attempts += 1;
+    }
+
+    // A failed attempt that will be retried still counts as failed for this run
+    counts[reminder.status === 'queued' ? 'failed' : reminder.status] += 1;
+    await reminder.save();
+  }
+  return counts;
+};
+
+// Queue reminders for newly abandoned carts, then deliver the queue
+const runAbandonedCartJob = async () => {
+  try {
+    const queued = await queueCartReminders();
+    const counts = await sendQueuedReminders();
+    if (queued > 0 || counts.sent > 0 || counts.failed > 0) {
+      console.log(`🛒 Cart reminders: ${queued} queued, ${counts.sent} sent, ${counts.failed} failed`);
+    }
+    return { queued, ...counts };
+  } catch (error) {
+    console.error('Abandoned cart job error:', error);
+    throw error;
+  }
+};
+
+const scheduleAbandonedCartJob = () => {
+  setTimeout(async () => {
+    try {
+      await runAbandonedCartJob();
+    } catch (error) {
+      // Already logged - keep the schedule running
+    }
+    scheduleAbandonedCartJob();
+  }, getSweepMinutes() * 60 * 1000);
+};
+
+module.exports = {
+  getIdleHours,
+  findAbandonedCarts,
+  queueCartReminders,
+  sendQueuedReminders,
+  runAbandonedCartJob,
+  scheduleAbandonedCartJob
+};
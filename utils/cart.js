@@ -0,0 +1,273 @@
+// server/utils/cart.js
+// ✅ Shared cart helpers (used by the cart, guest cart and wishlist routes).
+// A "cart holder" is any document with a `cart` array - a Customer or a GuestCart.
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const GuestCart = require('../models/GuestCart');
+const { priceTierFor, resolveUnitPrice } = require('./pricing');
+
+// Error for a cart line that can't be added - carries the HTTP status to answer with
+const cartError = (status, message) => Object.assign(new Error(message), { code: 'CART_ITEM_INVALID', status });
+
+// Header the storefront sends the anonymous cart token in
+const GUEST_CART_HEADER = 'x-cart-token';
+
+const getGuestCartToken = (req) => {
+  const token = req.headers[GUEST_CART_HEADER] || req.body?.guestCartToken;
+  return typeof token === 'string' && token.trim() ? token.trim() : null;
+};
+
+// Same product and color (by variant id, or by name for lines saved before variant ids)
+const isSameLine = (line, productId, variantId, colorName) =>
+  line.productId &&
+  line.productId.toString() === productId.toString() &&
+  (line.variantId && variantId
+    ? line.variantId.toString() === variantId.toString()
+    : line.selectedColor === colorName);
+
+/**
+ * Validate a product/color and add it to customer.cart (merging with an existing line).
+ * Works on any cart holder. Does not save it.
+ * Throws a CART_ITEM_INVALID error when the item can't be added.
+ */
+const addItemToCart = async (customer, { productId, variantId, selectedColor, quantity = 1 }) => {
+  // Validate input
+  if (!productId || (!variantId && !selectedColor)) {
+    throw cartError(400, 'Product ID and color are required');
+  }
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    throw cartError(404, 'Product not found');
+  }
+  // Body values may be strings ("2") - never let them reach += or the schema
+  const addQuantity = Number(quantity);
+  if (!Number.isInteger(addQuantity) || addQuantity < 1) {
+    throw cartError(400, 'Quantity must be a whole number of at least 1');
+  }
+
+  // Validate product
+  const product = await Product.findOne({ _id: productId, status: 'active' });
+  if (!product) {
+    throw cartError(404, 'Product not found');
+  }
+
+  // ✅ Resolve the color variant (by id, or by name for older clients)
+  const variant = product.findVariant(variantId, selectedColor);
+  if (!variant) {
+    throw cartError(400, 'Selected color is not available for this product');
+  }
+
+  // ✅ ENSURE CART EXISTS
+  if (!customer.cart) {
+    customer.cart = [];
+  }
+
+  // Check if item exists
+  const existingItemIndex = customer.cart.findIndex(
+    item => isSameLine(item, productId, variant._id, variant.name)
+  );
+
+  if (existingItemIndex > -1) {
+    customer.cart[existingItemIndex].quantity += addQuantity;
+    customer.cart[existingItemIndex].variantId = variant._id;
+    customer.cart[existingItemIndex].updatedAt = new Date();
+  } else {
+    customer.cart.push({ 
+      productId: new mongoose.Types.ObjectId(productId), 
+      variantId: variant._id,
+      selectedColor: variant.name, 
+      quantity: addQuantity
+    });
+  }
+
+  return { product, variant };
+};
+
+/**
+ * Add unitPrice and priceTier to cart lines (cart.productId populated) for this customer.
+ * Lines whose product or color no longer exists get a null unitPrice.
+ */
+const priceCartItems = async (items, customer) => {
+  const tier = priceTierFor(customer);
+  const productIds = items.filter(item => item.productId && item.productId._id).map(item => item.productId._id);
+  const tiersById = new Map();
+  if (tier !== 'retail' && productIds.length > 0) {
+    const withTiers = await Product.find({ _id: { $in: productIds } }).select('priceTiers').lean();
+    withTiers.forEach(p => tiersById.set(p._id.toString(), p.priceTiers || []));
+  }
+
+  return items.map(item => {
+    const data = item.toObject ? item.toObject() : item;
+    const product = item.productId && item.productId.findVariant ? item.productId : null;
+    const variant = product && product.findVariant(item.variantId, item.selectedColor);
+    if (!variant) {
+      return { ...data, unitPrice: null, priceTier: 'retail' };
+    }
+
+    const { unitPrice, tier: appliedTier } = resolveUnitPrice(product, variant, {
+      tier,
+      quantity: item.quantity,
+      priceTiers: tiersById.get(product._id.toString())
+    });
+    return { ...data, unitPrice, priceTier: appliedTier };
+  });
+};
+
+/**
+ * Change the quantity and/or color of one cart line. The line has to end up on an active
+ * product and a color it still has. Does not save the holder. Throws CART_ITEM_INVALID.
+ */
+const updateCartItem = async (holder, itemId, { quantity, selectedColor, variantId }) => {
+  const line = (holder.cart || []).find(item => item._id && item._id.toString() === itemId);
+  if (!line) {
+    throw cartError(404, 'Cart item not found');
+  }
+
+  if (quantity !== undefined) {
+    const newQuantity = Number(quantity);
+    if (!Number.isInteger(newQuantity) || newQuantity < 1) {
+      throw cartError(400, 'Quantity must be a whole number of at least 1');
+    }
+    line.quantity = newQuantity;
+  }
+
+  // ✅ The line must end up on a color the product still has
+  const product = await Product.findOne({ _id: line.productId, status: 'active' });
+  if (!product) {
+    throw cartError(400, 'This product is no longer available');
+  }
+  const colorChanged = selectedColor !== undefined || variantId !== undefined;
+  const variant = colorChanged
+    ? product.findVariant(variantId, selectedColor)
+    : product.findVariant(line.variantId, line.selectedColor);
+  if (!variant) {
+    throw cartError(400, colorChanged
+      ? 'Selected color is not available for this product'
+      : 'The selected color is no longer available - please choose another color');
+  }
+  // Switching color means switching to another variant of the same product
+  line.variantId = variant._id;
+  line.selectedColor = variant.name;
+  line.updatedAt = new Date();
+
+  return line;
+};
+
+// Remove one cart line. Does not save the holder. Throws CART_ITEM_INVALID when it isn't there.
+const removeCartItem = (holder, itemId) => {
+  const cart = holder.cart || [];
+  const remaining = cart.filter(item => !item._id || item._id.toString() !== itemId);
+  if (remaining.length === cart.length) {
+    throw cartError(404, 'Cart item not found');
+  }
+  holder.cart = remaining;
+};
+
+/**
+ * Move the lines of a guest cart into the customer's cart and delete the guest cart.
+ * Lines for the same product and color are combined by adding the quantities
+ * (lines without a valid quantity are dropped). Saves the customer. Returns the number of guest lines merged (0 if the token is unknown).
+ */
+const mergeGuestCart = async (customer, token) => {
+  if (!token) return 0;
+  const guestCart = await GuestCart.findOne({ token });
+  if (!guestCart) return 0;
+
+  if (!customer.cart) {
+    customer.cart = [];
+  }
+  // Only whole positive quantities are summed into the account cart
+  const lines = guestCart.cart.filter(line => Number.isInteger(line.quantity) && line.quantity >= 1);
+  lines.forEach(line => {
+    const existing = customer.cart.find(item => isSameLine(item, line.productId, line.variantId, line.selectedColor));
+    if (existing) {
+      existing.quantity += line.quantity;
+      if (!existing.variantId && line.variantId) existing.variantId = line.variantId;
+      existing.updatedAt = new Date();
+    } else {
+      customer.cart.push({
+        productId: line.productId,
+        variantId: line.variantId,
+        selectedColor: line.selectedColor,
+        quantity: line.quantity,
+        addedAt: line.addedAt || new Date(),
+        updatedAt: new Date()
+      });
+    }
+  });
+
+  await customer.save();
+  await GuestCart.deleteOne({ _id: guestCart._id });
+  return lines.length;
+};
+
+// Per-line problems surfaced to the storefront (checkout refuses lines with a blocking warning)
+const CART_WARNINGS = {
+  product_unavailable: 'This product is no longer available',
+  color_unavailable: 'The selected color is no longer available',
+  exceeds_stock: 'Only a limited number of units are in stock'
+};
+
+const cartWarning = (code, message = CART_WARNINGS[code]) => ({ code, message });
+
+/**
+ * Price and check every cart line (cart.productId populated) and total the cart.
+ * Lines whose product or color is gone carry a warning and are left out of the subtotal;
+ * a quantity above tracked stock is still totalled so the shopper can see what to change.
+ */
+const summarizeCart = async (items, customer) => {
+  const priced = await priceCartItems(items, customer);
+
+  let subtotal = 0;
+  let itemCount = 0;
+  const lines = priced.map((line, index) => {
+    const product = items[index].productId && items[index].productId.status ? items[index].productId : null;
+    const variant = product && product.findVariant(line.variantId, line.selectedColor);
+    const warnings = [];
+
+    if (!product || product.status !== 'active') {
+      warnings.push(cartWarning('product_unavailable'));
+    } else if (!variant) {
+      warnings.push(cartWarning('color_unavailable'));
+    } else if (variant.quantity !== null && variant.quantity !== undefined && line.quantity > variant.quantity) {
+      warnings.push(cartWarning(
+        'exceeds_stock',
+        variant.quantity > 0 ? `Only ${variant.quantity} left in stock` : 'Out of stock'
+      ));
+    }
+
+    const orderable = product && product.status === 'active' && variant && line.unitPrice !== null;
+    const lineTotal = orderable ? line.unitPrice * line.quantity : null;
+    if (lineTotal !== null) subtotal += lineTotal;
+    itemCount += line.quantity;
+
+    return { ...line, lineTotal, warnings };
+  });
+
+  return {
+    items: lines,
+    subtotal,
+    itemCount,
+    hasWarnings: lines.some(line => line.warnings.length > 0)
+  };
+};
+
+// Body the cart routes answer with for a customer's cart: { cart, summary }
+const customerCartResponse = async (customer) => {
+  await customer.populate('cart.productId');
+  const { items, subtotal, itemCount, hasWarnings } = await summarizeCart(customer.cart || [], customer);
+  return { cart: items, summary: { subtotal, itemCount, hasWarnings } };
+};
+
+module.exports = {
+  CART_WARNINGS,
+  GUEST_CART_HEADER,
+  getGuestCartToken,
+  cartError,
+  addItemToCart,
+  updateCartItem,
+  removeCartItem,
+  mergeGuestCart,
+  priceCartItems,
+  summarizeCart,
+  customerCartResponse
+};
@@ -0,0 +1,102 @@
+// server/utils/checkout.js
+// ✅ Turn a cart (or the item list a client sent) into order lines priced on the server
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const { priceTierFor, resolveUnitPrice } = require('./pricing');
+const { buildItemSnapshot } = require('./orderSnapshot');
+
+// Error for an order that can't be placed as requested - routes answer 400 with its message
+const orderError = (message) => Object.assign(new Error(message), { code: 'ORDER_INVALID' });
+
+/**
+ * Read the optional `items` field of an order request (a JSON string in multipart forms).
+ * Returns null when no list was sent, meaning "order what is in my cart".
+ * Only productId, variantId, selectedColor and quantity are kept - prices and totals
+ * sent by the client are ignored.
+ */
+const parseRequestedItems = (body = {}) => {
+  if (body.items === undefined || body.items === null || body.items === '') return null;
+
+  let items = body.items;
+  if (typeof items === 'string') {
+    try {
+      items = JSON.parse(items);
+    } catch (parseError) {
+      throw orderError('Invalid items format');
+    }
+  }
+  if (!Array.isArray(items)) {
+    throw orderError('Invalid items format');
+  }
+
+  return items.map(item => ({
+    productId: item?.productId,
+    variantId: item?.variantId,
+    selectedColor: item?.selectedColor,
+    quantity: item?.quantity
+  }));
+};
+
+/**
+ * Validate and price order lines for a customer.
+ * Every product must be active and every color must exist on it. Lines for the same
+ * variant are combined so stock and trade minimum quantities see the full amount.
+ * Resolves to { items, totalAmount } - items are ready for reserveOrderStock / Order.
+ * Throws an ORDER_INVALID error for the first line that can't be ordered.
+ */
+const buildOrderItems = async (lines, customer) => {
+  const tier = priceTierFor(customer);
+  const byVariant = new Map();
+
+  for (const line of lines) {
+    const quantity = Number(line.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw orderError('Invalid item quantity');
+    }
+
+    const productId = line.productId?._id || line.productId;
+    const product = productId && mongoose.Types.ObjectId.isValid(productId)
+      ? await Product.findOne({ _id: productId, status: 'active' }).select('+priceTiers')
+      : null;
+    if (!product) {
+      throw orderError('One or more items are no longer available');
+    }
+
+    const variant = product.findVariant(line.variantId, line.selectedColor);
+    if (!variant) {
+      throw orderError(`The selected color of ${product.title} is no longer available`);
+    }
+
+    const key = `${product._id}:${variant._id}`;
+    const existing = byVariant.get(key);
+    if (existing) {
+      existing.quantity += quantity;
+    } else {
+      byVariant.set(key, { product, variant, quantity });
+    }
+  }
+
+  const items = [];
+  for (const { product, variant, quantity } of byVariant.values()) {
+    const { unitPrice, tier: priceTier } = resolveUnitPrice(product, variant, { tier, quantity });
+    if (unitPrice === null) {
+      throw orderError(`${product.title} has no price yet and cannot be ordered online`);
+    }
+
+    items.push({
+      productId: product._id,
+      variantId: variant._id,
+      sku: variant.sku || '',
+      selectedColor: variant.name,
+      quantity,
+      price: unitPrice,
+      priceTier,
+      snapshot: buildItemSnapshot(product, variant, unitPrice)
+    });
+  }
+
+  const totalAmount = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  return { items, totalAmount };
+};
+
+module.exports = { orderError, parseRequestedItems, buildOrderItems };
@@ -1,5 +1,9 @@
 // server/utils/cleanup.js
 const Application = require('../models/Application');
+const GuestCart = require('../models/GuestCart');
+
+// Guest carts untouched for this many days are removed
+const GUEST_CART_TTL_DAYS = parseInt(process.env.GUEST_CART_TTL_DAYS) || 30;
 
 // ✅ Manual cleanup function (for immediate cleanup or debugging)
 const cleanupRejectedApplications = async () => {
@@ -20,6 +24,22 @@ const cleanupRejectedApplications = async () => {
   }
 };
 
+// ✅ Remove guest carts nobody has touched for GUEST_CART_TTL_DAYS
+const cleanupExpiredGuestCarts = async () => {
+  try {
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - GUEST_CART_TTL_DAYS);
+
+    const result = await GuestCart.deleteMany({ lastActivityAt: { $lt: cutoff } });
+
+    console.log(`🧹 Cleaned up ${result.deletedCount} expired guest carts`);
+    return result.deletedCount;
+  } catch (error) {
+    console.error('Guest cart cleanup error:', error);
+    throw error;
+  }
+};
+
 // ✅ Schedule daily cleanup (optional)
 const scheduleDailyCleanup = () => {
   // Run cleanup every day at 2 AM
@@ -34,10 +54,11 @@ const scheduleDailyCleanup = () => {
   const delay = nextRun.getTime() - now.getTime();
   
   setTimeout(async () => {
-    await cleanupRejectedApplications();
+    await cleanupRejectedApplications().catch(() => {});
+    await cleanupExpiredGuestCarts().catch(() => {});
     // Schedule next run
     scheduleDailyCleanup();
   }, delay);
 };
 
-module.exports = { cleanupRejectedApplications, scheduleDailyCleanup };
\ No newline at end of file
+module.exports = { cleanupRejectedApplications, cleanupExpiredGuestCarts, scheduleDailyCleanup };
\ No newline at end of file
@@ -0,0 +1,59 @@
+// server/utils/collections.js
+// ✅ Resolve the products shown in a collection
+const Product = require('../models/Product');
+const { buildProductFilter, buildProductSort } = require('./productQuery');
+
+// Slug of the collection that drives GET /api/products/featured
+const FEATURED_COLLECTION_SLUG = 'featured';
+// How many featured products to show when that collection sets no maxProducts
+const FEATURED_DEFAULT_LIMIT = 12;
+
+// Catalog filter for a collection's rules (always active products only)
+const buildRuleFilter = (collection, excludeIds = []) => ({
+  ...buildProductFilter({
+    brand: collection.rules.brands,
+    productType: collection.rules.productTypes,
+    gender: collection.rules.genders
+  }),
+  _id: { $nin: excludeIds }
+});
+
+/**
+ * One page of a collection's products.
+ * Hand-picked products come first (inactive ones are skipped), then rule matches.
+ * Returns { products, total }.
+ */
+const getCollectionProducts = async (collection, { skip = 0, limit = 12 } = {}) => {
+  const pickedIds = collection.products.map(id => id.toString());
+  const picked = await Product.find({ _id: { $in: collection.products }, status: 'active' });
+  picked.sort((a, b) => pickedIds.indexOf(a._id.toString()) - pickedIds.indexOf(b._id.toString()));
+
+  const ruleFilter = collection.hasRules() ? buildRuleFilter(collection, collection.products) : null;
+  const ruleCount = ruleFilter ? await Product.countDocuments(ruleFilter) : 0;
+
+  let total = picked.length + ruleCount;
+  if (collection.maxProducts) {
+    total = Math.min(total, collection.maxProducts);
+  }
+
+  const end = Math.min(skip + limit, total);
+  const products = picked.slice(skip, end);
+  const remaining = end - skip - products.length;
+
+  if (ruleFilter && remaining > 0) {
+    const matched = await Product.find(ruleFilter)
+      .sort(buildProductSort(collection.ruleSort))
+      .skip(Math.max(0, skip - picked.length))
+      .limit(remaining);
+    products.push(...matched);
+  }
+
+  return { products, total };
+};
+
+module.exports = {
+  FEATURED_COLLECTION_SLUG,
+  FEATURED_DEFAULT_LIMIT,
+  buildRuleFilter,
+  getCollectionProducts
+};
@@ -0,0 +1,92 @@
+// server/utils/csv.js
+// ✅ Minimal RFC 4180 CSV reader/writer (quoted fields, "" escapes, CRLF or LF line endings)
+
+// Cells starting with these are treated as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  // Neutralise formulas so an exported description can't run in Excel
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Undo the formula guard added by escapeCell
+const unescapeCell = (value) => (/^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value);
+
+const stringify = (rows) => rows.map(row => row.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings).
+ * Blank lines are skipped. Throws if a quoted field is never closed.
+ */
+const parse = (text) => {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(unescapeCell(field));
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(unescapeCell(field));
+      if (row.some(cell => cell !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Invalid CSV: unterminated quoted field');
+  }
+  row.push(unescapeCell(field));
+  if (row.some(cell => cell !== '')) rows.push(row);
+
+  return rows;
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by header name.
+ * Each object gets `_row` - its row number as a spreadsheet shows it (header is row 1).
+ */
+const parseWithHeader = (text) => {
+  const [header = [], ...rows] = parse(text);
+  const keys = header.map(h => h.trim());
+  return {
+    headers: keys,
+    records: rows.map((row, index) => {
+      const record = { _row: index + 2 };
+      keys.forEach((key, col) => {
+        record[key] = (row[col] ?? '').trim();
+      });
+      return record;
+    })
+  };
+};
+
+module.exports = { parse, parseWithHeader, stringify };
@@ -0,0 +1,118 @@
+// server/utils/inventoryLedger.js
+// ✅ Helpers for writing and applying inventory movements
+const Product = require('../models/Product');
+const InventoryMovement = require('../models/InventoryMovement');
+const { checkStockLevel } = require('./stockAlerts');
+
+// Actor helpers so callers don't hand-build { actorType, actorId }
+const adminActor = (user) => ({ actorType: 'admin', actorId: user?.id || null });
+const customerActor = (user) => ({ actorType: 'customer', actorId: user?.id || null });
+const SYSTEM_ACTOR = { actorType: 'system', actorId: null };
+
+/**
+ * Append a movement to the ledger. `product` must be the product as it is right
+ * after the change so the resulting balances can be read from the variant.
+ * Also re-checks the color against its low-stock threshold.
+ * Ledger failures are logged but never undo the stock change itself.
+ */
+const recordMovement = async ({
+  product,
+  variantId,
+  type,
+  quantityChange = 0,
+  reservedChange = 0,
+  reason = '',
+  order = null,
+  actor = SYSTEM_ACTOR
+}) => {
+  try {
+    const variant = product?.colors?.find(c => c._id.toString() === variantId.toString());
+    if (!variant) return null;
+
+    const movement = await InventoryMovement.create({
+      product: product._id,
+      variantId: variant._id,
+      colorName: variant.name,
+      sku: variant.sku || '',
+      type,
+      quantityChange,
+      reservedChange,
+      balanceAfter: variant.quantity ?? null,
+      reservedAfter: variant.reserved || 0,
+      reason,
+      order,
+      ...actor
+    });
+
+    // ✅ Raise (or resolve) a low-stock alert when available units changed
+    if (quantityChange !== 0) {
+      await checkStockLevel(product, variant._id);
+    }
+    return movement;
+  } catch (error) {
+    console.error('Inventory ledger error:', error);
+    return null;
+  }
+};
+
+/**
+ * Atomically apply $inc changes to one variant and record the movement.
+ * `guard` is merged into the variant $elemMatch (e.g. { quantity: { $gte: 2 } }).
+ * Returns the updated product, or null when the guard didn't match.
+ */
+const applyVariantChange = async ({
+  productId,
+  variantId,
+  guard = {},
+  quantityChange = 0,
+  reservedChange = 0,
+  ...movement
+}) => {
+  const inc = {};
+  if (quantityChange !== 0) inc['colors.$.quantity'] = quantityChange;
+  if (reservedChange !== 0) inc['colors.$.reserved'] = reservedChange;
+  if (Object.keys(inc).length === 0) return null;
+
+  const product = await Product.findOneAndUpdate(
+    { _id: productId, colors: { $elemMatch: { _id: variantId, ...guard } } },
+    { $inc: inc },
+    { new: true }
+  );
+  if (!product) return null;
+
+  await recordMovement({ product, variantId, quantityChange, reservedChange, ...movement });
+  return product;
+};
+
+/**
+ * Record quantity differences between two versions of a product's colors
+ * (used after admin edits that overwrite colors[].quantity).
+ * Colors that didn't exist before are recorded as a restock.
+ */
+const recordQuantityEdits = async (previousColors, product, actor, reason) => {
+  const movements = product.colors.map(async (variant) => {
+    const before = previousColors.find(c => c._id.toString() === variant._id.toString());
+    const oldQuantity = before ? before.quantity ?? null : null;
+    const newQuantity = variant.quantity ?? null;
+    if (oldQuantity === newQuantity) return null;
+
+    return recordMovement({
+      product,
+      variantId: variant._id,
+      type: before ? 'adjustment' : 'restock',
+      quantityChange: (newQuantity || 0) - (oldQuantity || 0),
+      reason,
+      actor
+    });
+  });
+  await Promise.all(movements);
+};
+
+module.exports = {
+  SYSTEM_ACTOR,
+  adminActor,
+  customerActor,
+  recordMovement,
+  applyVariantChange,
+  recordQuantityEdits
+};
@@ -0,0 +1,20 @@
+// server/utils/notifications/fileDriver.js
+// ✅ Stand-in notification driver - appends each message as a JSON line to
+// <NOTIFICATION_OUTBOX_DIR>/<channel>.log (default ./outbox) instead of sending it.
+// The outbox is kept out of uploads/ because that folder is publicly served.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const outboxDir = () => process.env.NOTIFICATION_OUTBOX_DIR || 'outbox';
+
+const send = async ({ channel, to, subject, text }) => {
+  const id = crypto.randomUUID();
+  const line = JSON.stringify({ id, channel, to, subject, text, queuedAt: new Date().toISOString() });
+
+  await fs.promises.mkdir(outboxDir(), { recursive: true });
+  await fs.promises.appendFile(path.join(outboxDir(), `${channel}.log`), line + '\n');
+  return { id };
+};
+
+module.exports = { name: 'file', send };
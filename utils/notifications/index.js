@@ -0,0 +1,43 @@
+// server/utils/notifications/index.js
+// ✅ Outgoing customer notifications (email / SMS)
+//
+// NOTIFICATION_DRIVER=file | webhook
+// Defaults to the file driver, which writes each message to a local outbox instead of
+// sending it, so development and test setups work without an email or SMS provider.
+// Another provider can be plugged in with registerDriver(name, { name, send }).
+const fileDriver = require('./fileDriver');
+const webhookDriver = require('./webhookDriver');
+
+const CHANNELS = ['email', 'sms'];
+
+const DRIVERS = {
+  file: fileDriver,
+  webhook: webhookDriver
+};
+
+const registerDriver = (name, driver) => {
+  if (!driver || typeof driver.send !== 'function') {
+    throw new Error(`Notification driver "${name}" must have a send() function`);
+  }
+  DRIVERS[name] = driver;
+};
+
+const getDriver = () => DRIVERS[(process.env.NOTIFICATION_DRIVER || '').toLowerCase()] || fileDriver;
+
+/**
+ * Send one message. `channel` is email or sms, `to` the address or mobile number.
+ * `subject` is only used for email. Resolves to { driver, id } - rejects when sending failed.
+ */
+const send = async ({ channel, to, subject = '', text }) => {
+  if (!CHANNELS.includes(channel)) {
+    throw new Error(`Unknown notification channel: ${channel}`);
+  }
+  if (!to) {
+    throw new Error(`No ${channel} recipient`);
+  }
+  const driver = getDriver();
+  const result = await driver.send({ channel, to, subject, text });
+  return { driver: driver.name, id: result?.id || null };
+};
+
+module.exports = { CHANNELS, send, registerDriver, getDriver };
@@ -0,0 +1,22 @@
+// server/utils/notifications/webhookDriver.js
+// ✅ Hands messages to an external email/SMS gateway over HTTP.
+// POSTs { channel, to, subject, text } to NOTIFICATION_WEBHOOK_URL, with
+// NOTIFICATION_WEBHOOK_TOKEN as a bearer token when set.
+const axios = require('axios');
+
+const send = async (message) => {
+  const url = process.env.NOTIFICATION_WEBHOOK_URL;
+  if (!url) {
+    throw new Error('NOTIFICATION_WEBHOOK_URL is not set');
+  }
+
+  const headers = {};
+  if (process.env.NOTIFICATION_WEBHOOK_TOKEN) {
+    headers.Authorization = `Bearer ${process.env.NOTIFICATION_WEBHOOK_TOKEN}`;
+  }
+
+  const response = await axios.post(url, message, { headers, timeout: 10000 });
+  return { id: response.data?.id || null };
+};
+
+module.exports = { name: 'webhook', send };
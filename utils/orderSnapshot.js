@@ -0,0 +1,58 @@
+// server/utils/orderSnapshot.js
+// ✅ What an order item looked like at checkout, so later product edits don't rewrite history
+
+// Fields to populate on items.productId - only used to link to the live product
+const PRODUCT_LINK_FIELDS = 'title brand images slug status';
+
+// Snapshot of one ordered variant (unitPrice is what the customer was charged per unit)
+const buildItemSnapshot = (product, variant, unitPrice) => ({
+  title: product.title,
+  brand: product.brand,
+  modelNumber: product.modelNumber,
+  image: variant.images?.[0] || product.images?.[0] || '',
+  color: variant.name,
+  unitPrice
+});
+
+/**
+ * Turn an order (with items.productId populated using PRODUCT_LINK_FIELDS) into the API shape.
+ * - item.snapshot is the checkout-time snapshot (orders from before snapshots fall back to the live product)
+ * - item.productId keeps its { _id, title, brand, images } shape, filled from the snapshot
+ * - item.product links to the live product ({ _id, slug, available }) or is null if it no longer exists
+ */
+const presentOrder = (order) => {
+  const data = order.toObject ? order.toObject() : order;
+
+  data.items = (data.items || []).map(item => {
+    // Populated products carry a status; a bare ObjectId (or null) means there is nothing to link to
+    const live = item.productId && item.productId.status ? item.productId : null;
+    const snapshot = item.snapshot && item.snapshot.title
+      ? item.snapshot
+      : {
+        title: live?.title || '',
+        brand: live?.brand || '',
+        modelNumber: '',
+        image: live?.images?.[0] || '',
+        color: item.selectedColor,
+        unitPrice: item.price
+      };
+
+    return {
+      ...item,
+      snapshot,
+      productId: {
+        _id: live ? live._id : null,
+        title: snapshot.title,
+        brand: snapshot.brand,
+        images: snapshot.image ? [snapshot.image] : []
+      },
+      product: live
+        ? { _id: live._id, slug: live.slug, available: live.status === 'active' }
+        : null
+    };
+  });
+
+  return data;
+};
+
+module.exports = { PRODUCT_LINK_FIELDS, buildItemSnapshot, presentOrder };
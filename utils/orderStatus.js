@@ -0,0 +1,107 @@
+// server/utils/orderStatus.js
+// ✅ Order status state machine - which status / receipt changes are allowed, and the timeline
+const { SYSTEM_ACTOR } = require('./inventoryLedger');
+
+const ORDER_STATUSES = ['pending_payment', 'processing', 'confirmed', 'shipped', 'delivered', 'cancelled'];
+const RECEIPT_STATUSES = ['pending', 'verified', 'rejected'];
+
+// Where each order status may go next (delivered and cancelled are final)
+const STATUS_TRANSITIONS = {
+  pending_payment: ['processing', 'confirmed', 'cancelled'],
+  processing: ['confirmed', 'cancelled'],
+  confirmed: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+// A verified receipt has already turned the stock hold into a sale, so it can't be undone.
+// A rejection can be corrected to verified if it was a mistake.
+const RECEIPT_TRANSITIONS = {
+  pending: ['verified', 'rejected'],
+  rejected: ['verified'],
+  verified: []
+};
+
+// Statuses that need the bank transfer confirmed first
+const REQUIRES_VERIFIED_RECEIPT = ['shipped', 'delivered'];
+
+const STATUS_LABELS = {
+  pending_payment: 'pending payment',
+  processing: 'processing',
+  confirmed: 'confirmed',
+  shipped: 'shipped',
+  delivered: 'delivered',
+  cancelled: 'cancelled'
+};
+
+// Error for a change the state machine doesn't allow - routes answer 400 with its message
+const transitionError = (message) => Object.assign(new Error(message), { code: 'ORDER_TRANSITION_INVALID' });
+
+/**
+ * Work out the history entries for changing an order's status and/or receiptStatus.
+ * The receipt change is applied first, so one request can verify the receipt and ship.
+ * Values equal to the current ones are not changes. Throws ORDER_TRANSITION_INVALID.
+ */
+const planStatusChanges = (order, { status, receiptStatus }) => {
+  const changes = [];
+
+  if (receiptStatus && receiptStatus !== order.receiptStatus) {
+    if (order.status === 'cancelled') {
+      throw transitionError('The receipt of a cancelled order cannot be changed');
+    }
+    if (!(RECEIPT_TRANSITIONS[order.receiptStatus] || []).includes(receiptStatus)) {
+      throw transitionError(`A ${order.receiptStatus} receipt cannot be marked as ${receiptStatus}`);
+    }
+    changes.push({ field: 'receiptStatus', from: order.receiptStatus, to: receiptStatus });
+  }
+
+  if (status && status !== order.status) {
+    const allowed = STATUS_TRANSITIONS[order.status] || [];
+    if (!allowed.includes(status)) {
+      throw transitionError(
+        `An order that is ${STATUS_LABELS[order.status] || order.status} cannot be marked as ${STATUS_LABELS[status]}` +
+        (allowed.length > 0 ? ` (next: ${allowed.map(s => STATUS_LABELS[s]).join(', ')})` : '')
+      );
+    }
+    const nextReceiptStatus = receiptStatus || order.receiptStatus;
+    if (REQUIRES_VERIFIED_RECEIPT.includes(status) && nextReceiptStatus !== 'verified') {
+      throw transitionError(`Verify the payment receipt before marking the order as ${STATUS_LABELS[status]}`);
+    }
+    changes.push({ field: 'status', from: order.status, to: status });
+  }
+
+  return changes;
+};
+
+// Timeline entries for a set of changes
+const historyEntries = (changes, { actor = SYSTEM_ACTOR, note = '' } = {}) => {
+  const at = new Date();
+  return changes.map(change => ({
+    ...change,
+    note: typeof note === 'string' ? note.trim() : '',
+    actorType: actor.actorType,
+    actorId: actor.actorId,
+    at
+  }));
+};
+
+// Customer-facing timeline (which admin made a change stays internal)
+const presentStatusHistory = (history = []) => history.map(entry => ({
+  field: entry.field,
+  from: entry.from,
+  to: entry.to,
+  note: entry.note,
+  actorType: entry.actorType,
+  at: entry.at
+}));
+
+module.exports = {
+  ORDER_STATUSES,
+  RECEIPT_STATUSES,
+  STATUS_TRANSITIONS,
+  RECEIPT_TRANSITIONS,
+  planStatusChanges,
+  historyEntries,
+  presentStatusHistory
+};
@@ -0,0 +1,177 @@
+// server/utils/pricing.js
+// ✅ Scheduled sale prices and price history
+const Product = require('../models/Product');
+const PriceHistory = require('../models/PriceHistory');
+const { SYSTEM_ACTOR } = require('./inventoryLedger');
+
+// Pricing of a product before it existed (used when recording a new product)
+const NO_PRICING = { price: null, salePrice: null, saleStartsAt: null, saleEndsAt: null, currentPrice: null };
+
+const getSweepMinutes = () => {
+  const minutes = parseFloat(process.env.PRICE_SWEEP_MINUTES);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : 5;
+};
+
+// Plain copy of the price-related fields of a product
+const pricingOf = (product) => ({
+  price: product.price ?? null,
+  salePrice: product.sale?.price ?? null,
+  saleStartsAt: product.sale?.startsAt ?? null,
+  saleEndsAt: product.sale?.endsAt ?? null,
+  currentPrice: product.currentPrice ?? null
+});
+
+const sameValue = (a, b) => (a instanceof Date || b instanceof Date
+  ? (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null)
+  : a === b);
+
+const pricingChanged = (before, after) => Object.keys(NO_PRICING).some(key => !sameValue(before[key], after[key]));
+
+/**
+ * Bring a product's currentPrice / onSale in line with its sale dates and record
+ * a price history entry if anything price-related changed.
+ * - previous: pricing before an edit (pricingOf(existing), or NO_PRICING for new products);
+ *   leave it out when nothing but the clock changed
+ * - reason: defaults to sale_started / sale_ended for clock-driven changes
+ * History failures are logged but never undo the price change.
+ */
+const syncProductPrice = async (productId, { previous = null, reason = null, actor = SYSTEM_ACTOR } = {}) => {
+  const product = await Product.findById(productId).select('+priceTiers');
+  if (!product) return null;
+
+  const before = previous || pricingOf(product);
+  const onSale = product.isSaleActive();
+  const currentPrice = product.effectivePrice() ?? null;
+
+  if (product.onSale !== onSale || !sameValue(product.currentPrice ?? null, currentPrice)) {
+    await Product.updateOne({ _id: product._id }, { $set: { onSale, currentPrice } });
+    product.onSale = onSale;
+    product.currentPrice = currentPrice;
+  }
+
+  const after = pricingOf(product);
+  if (pricingChanged(before, after)) {
+    try {
+      await PriceHistory.create({
+        product: product._id,
+        ...after,
+        previousPrice: before.price,
+        previousCurrentPrice: before.currentPrice,
+        reason: reason || (onSale ? 'sale_started' : 'sale_ended'),
+        ...actor
+      });
+    } catch (error) {
+      console.error('Price history error:', error);
+    }
+  }
+  return product;
+};
+
+// ✅ Start and end sales whose dates have been reached
+const applyScheduledPrices = async () => {
+  try {
+    const products = await Product.find({
+      status: { $ne: 'archived' },
+      $or: [{ onSale: true }, { 'sale.price': { $ne: null } }]
+    }).select('_id onSale');
+
+    let changed = 0;
+    for (const product of products) {
+      const synced = await syncProductPrice(product._id);
+      if (synced && synced.onSale !== product.onSale) changed++;
+    }
+
+    if (changed > 0) {
+      console.log(`🏷️ Sale prices started or ended for ${changed} products`);
+    }
+    return changed;
+  } catch (error) {
+    console.error('Scheduled price error:', error);
+    throw error;
+  }
+};
+
+// ✅ Check sale start/end dates every few minutes
+const schedulePriceUpdates = () => {
+  setTimeout(async () => {
+    try {
+      await applyScheduledPrices();
+    } catch (error) {
+      // Already logged - keep the schedule running
+    }
+    schedulePriceUpdates();
+  }, getSweepMinutes() * 60 * 1000);
+};
+
+// ✅ TRADE PRICE TIERS
+
+// Business types that buy at a trade tier (anything else pays retail)
+const TIER_BY_BUSINESS_TYPE = {
+  wholesale: 'wholesale',
+  retail: 'dealer',
+  independent_watchmaker: 'dealer'
+};
+
+// Business types that can apply for business verification
+const TRADE_BUSINESS_TYPES = Object.keys(TIER_BY_BUSINESS_TYPE);
+
+// Price tier of a customer - retail for guests, non-trade accounts and
+// business accounts that haven't been verified yet
+const priceTierFor = (customer) => {
+  if (customer?.businessVerification?.status !== 'approved') return 'retail';
+  return TIER_BY_BUSINESS_TYPE[customer.businessDetails?.businessType] || 'retail';
+};
+
+/**
+ * Unit price of a variant for a customer tier and line quantity.
+ * Trade prices come from product.priceTiers (load it with +priceTiers) or the priceTiers option.
+ * A tier price is used when the line meets its minimum quantity and it beats the
+ * retail price (a retail sale can be cheaper than the trade price).
+ * Returns { unitPrice, tier } where tier is the tier actually applied.
+ */
+const resolveUnitPrice = (product, variant, { tier = 'retail', quantity = 1, priceTiers = product.priceTiers } = {}) => {
+  const retailPrice = product.variantPrice(variant) ?? null;
+  const tierPrice = tier !== 'retail'
+    ? (priceTiers || []).find(t => t.tier === tier)
+    : null;
+
+  if (tierPrice && quantity >= tierPrice.minQuantity && (retailPrice === null || tierPrice.price < retailPrice)) {
+    return { unitPrice: tierPrice.price, tier };
+  }
+  return { unitPrice: retailPrice, tier: 'retail' };
+};
+
+/**
+ * Add `tierPrice` ({ tier, price, minQuantity } or null) to public products for a trade customer.
+ * Retail customers and guests get the products back unchanged.
+ */
+const attachTierPrices = async (products, customer) => {
+  const tier = priceTierFor(customer);
+  if (tier === 'retail' || products.length === 0) {
+    return products;
+  }
+
+  const withTiers = await Product.find({ _id: { $in: products.map(p => p._id) } }).select('priceTiers').lean();
+  const tiersById = new Map(withTiers.map(p => [p._id.toString(), p.priceTiers || []]));
+
+  return products.map(product => {
+    const data = product.toObject ? product.toObject() : product;
+    const match = (tiersById.get(product._id.toString()) || []).find(t => t.tier === tier);
+    return {
+      ...data,
+      tierPrice: match ? { tier, price: match.price, minQuantity: match.minQuantity } : null
+    };
+  });
+};
+
+module.exports = {
+  NO_PRICING,
+  pricingOf,
+  syncProductPrice,
+  applyScheduledPrices,
+  schedulePriceUpdates,
+  TRADE_BUSINESS_TYPES,
+  priceTierFor,
+  resolveUnitPrice,
+  attachTierPrices
+};
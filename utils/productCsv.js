@@ -0,0 +1,137 @@
+// server/utils/productCsv.js
+// ✅ Product <-> CSV mapping for bulk import/export
+// One row per color (variant); product columns are repeated on every row of the same product.
+const { stringify, parseWithHeader } = require('./csv');
+
+const PRODUCT_COLUMNS = [
+  'modelNumber', 'title', 'brand', 'description', 'productType', 'gender', 'watchShape',
+  'price', 'status', 'lowStockThreshold', 'specifications', 'images'
+];
+const COLOR_COLUMNS = [
+  'colorName', 'colorQuantity', 'colorSku', 'colorPrice', 'colorBarcode', 'colorLowStockThreshold'
+];
+const CSV_COLUMNS = [...PRODUCT_COLUMNS, ...COLOR_COLUMNS];
+const REQUIRED_COLUMNS = ['modelNumber', 'colorName'];
+
+// Multi-value cells: "Movement: Quartz | Water resistance: 100m" and "url1 | url2"
+const LIST_SEPARATOR = ' | ';
+
+const blank = (value) => (value === null || value === undefined ? '' : value);
+
+const formatSpecifications = (specs = []) => specs
+  .map(spec => `${spec.key}: ${spec.value}`)
+  .join(LIST_SEPARATOR);
+
+const parseSpecifications = (cell) => String(cell || '')
+  .split('|')
+  .map(part => part.trim())
+  .filter(Boolean)
+  .map(part => {
+    const index = part.indexOf(':');
+    return index === -1
+      ? { key: part, value: '' }
+      : { key: part.slice(0, index).trim(), value: part.slice(index + 1).trim() };
+  });
+
+const parseList = (cell) => String(cell || '')
+  .split('|')
+  .map(part => part.trim())
+  .filter(Boolean);
+
+// Build the export CSV for a list of products
+const productsToCsv = (products) => {
+  const rows = [CSV_COLUMNS];
+
+  products.forEach(product => {
+    const productCells = [
+      product.modelNumber,
+      product.title,
+      product.brand,
+      product.description,
+      product.productType,
+      blank(product.gender),
+      product.watchShape,
+      blank(product.price),
+      product.status,
+      blank(product.lowStockThreshold),
+      formatSpecifications(product.specifications),
+      (product.images || []).join(LIST_SEPARATOR)
+    ];
+    const colors = product.colors && product.colors.length > 0 ? product.colors : [{}];
+
+    colors.forEach(color => {
+      rows.push([
+        ...productCells,
+        blank(color.name),
+        blank(color.quantity),
+        blank(color.sku),
+        blank(color.price),
+        blank(color.barcode),
+        blank(color.lowStockThreshold)
+      ]);
+    });
+  });
+
+  return stringify(rows);
+};
+
+/**
+ * Parse an import CSV and group its rows by model number (case-insensitive).
+ * Product columns are taken from the first row of each group that fills them in.
+ * Returns { missingColumns, ungrouped: [row numbers without a model number],
+ *           groups: [{ modelNumber, rows: [row numbers], fields, colors }] }.
+ */
+const parseImportCsv = (text) => {
+  const { headers, records } = parseWithHeader(text);
+  const missingColumns = REQUIRED_COLUMNS.filter(column => !headers.includes(column));
+  if (missingColumns.length > 0) {
+    return { missingColumns, ungrouped: [], groups: [] };
+  }
+
+  const groups = new Map();
+  const ungrouped = [];
+
+  records.forEach(record => {
+    const modelNumber = record.modelNumber;
+    if (!modelNumber || modelNumber.toUpperCase() === 'N/A') {
+      ungrouped.push(record._row);
+      return;
+    }
+
+    const key = modelNumber.toLowerCase();
+    if (!groups.has(key)) {
+      groups.set(key, { modelNumber, rows: [], fields: {}, colors: [] });
+    }
+    const group = groups.get(key);
+    group.rows.push(record._row);
+
+    PRODUCT_COLUMNS.forEach(column => {
+      if (group.fields[column] === undefined && record[column]) {
+        group.fields[column] = record[column];
+      }
+    });
+
+    if (record.colorName) {
+      group.colors.push({
+        row: record._row,
+        name: record.colorName,
+        quantity: record.colorQuantity,
+        sku: record.colorSku,
+        price: record.colorPrice,
+        barcode: record.colorBarcode,
+        lowStockThreshold: record.colorLowStockThreshold
+      });
+    }
+  });
+
+  return { missingColumns: [], ungrouped, groups: [...groups.values()] };
+};
+
+module.exports = {
+  CSV_COLUMNS,
+  REQUIRED_COLUMNS,
+  productsToCsv,
+  parseImportCsv,
+  parseSpecifications,
+  parseList
+};
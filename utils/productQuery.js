@@ -0,0 +1,127 @@
+// server/utils/productQuery.js
+// ✅ Shared helpers for building public product catalog queries
+
+const GENDERS = ['men', 'women', 'kids', 'unisex'];
+const PRODUCT_TYPES = ['watch', 'wall_clock'];
+const WATCH_SHAPES = ['Round', 'Square', 'Rectangular', 'Oval', 'Tonneau', 'Other'];
+// Trade price tiers (everyone else pays the retail price)
+const PRICE_TIERS = ['wholesale', 'dealer'];
+
+// Lower bounds (LKR) of the price facet buckets - the last one is open-ended
+const PRICE_BUCKETS = [0, 5000, 10000, 25000, 50000, 100000];
+
+const DEFAULT_LIMIT = 12;
+const MAX_LIMIT = 100;
+
+// Sort options accepted by ?sort= (first entry is the default)
+const SORT_OPTIONS = {
+  newest: { createdAt: -1, _id: -1 },
+  price_asc: { currentPrice: 1, _id: 1 },
+  price_desc: { currentPrice: -1, _id: -1 },
+  title: { title: 1, _id: 1 },
+  rating: { ratingAverage: -1, ratingCount: -1, _id: -1 }
+};
+
+// Escape user input before using it inside a RegExp
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split "a,b,c" (or ?x=a&x=b) into a clean array of strings
+const toList = (value) => {
+  if (value === undefined || value === null) return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values
+    .map(v => String(v).trim())
+    .filter(Boolean);
+};
+
+// Case-insensitive exact match for any of the given strings
+const exactMatchAny = (values) => ({
+  $in: values.map(v => new RegExp(`^${escapeRegex(v)}$`, 'i'))
+});
+
+const parseNumber = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+};
+
+/**
+ * Build a Mongo filter for public product listings from req.query.
+ * Unknown enum values are ignored rather than rejected so stale links keep working.
+ * Pass `omit` to leave fields out - facet counts for a field ignore that field's own
+ * selection so the sidebar still shows the other options.
+ */
+const buildProductFilter = (query = {}, { omit = [] } = {}) => {
+  const filter = { status: 'active' };
+
+  const brands = toList(query.brand);
+  if (brands.length > 0 && !omit.includes('brand')) {
+    filter.brand = exactMatchAny(brands);
+  }
+
+  const genders = toList(query.gender).filter(g => GENDERS.includes(g));
+  if (genders.length > 0 && !omit.includes('gender')) {
+    filter.gender = { $in: genders };
+  }
+
+  const productTypes = toList(query.productType).filter(t => PRODUCT_TYPES.includes(t));
+  if (productTypes.length > 0 && !omit.includes('productType')) {
+    filter.productType = { $in: productTypes };
+  }
+
+  const shapes = toList(query.watchShape).filter(s => WATCH_SHAPES.includes(s));
+  if (shapes.length > 0 && !omit.includes('watchShape')) {
+    filter.watchShape = { $in: shapes };
+  }
+
+  // Price filters use what customers pay now (the sale price while a sale runs)
+  const minPrice = parseNumber(query.minPrice);
+  const maxPrice = parseNumber(query.maxPrice);
+  if ((minPrice !== null || maxPrice !== null) && !omit.includes('price')) {
+    filter.currentPrice = {};
+    if (minPrice !== null) filter.currentPrice.$gte = minPrice;
+    if (maxPrice !== null) filter.currentPrice.$lte = maxPrice;
+  }
+
+  // Color and stock are matched on the same color entry, so
+  // ?color=Gold&inStock=true means "gold is in stock", not "gold exists and something is in stock"
+  const colorNames = omit.includes('color') ? [] : toList(query.color);
+  const inStockOnly = query.inStock === 'true' || query.inStock === true;
+  const colorMatch = {};
+  if (colorNames.length > 0) {
+    colorMatch.name = exactMatchAny(colorNames);
+  }
+  if (inStockOnly) {
+    // null quantity means stock is not tracked for that color, so treat it as available
+    colorMatch.$or = [{ quantity: null }, { quantity: { $gt: 0 } }];
+  }
+  if (Object.keys(colorMatch).length > 0) {
+    filter.colors = { $elemMatch: colorMatch };
+  }
+
+  return filter;
+};
+
+// Resolve ?sort= into a Mongo sort object (falls back to newest first)
+const buildProductSort = (sort) => SORT_OPTIONS[sort] || SORT_OPTIONS.newest;
+
+// Resolve ?page= and ?limit= into safe skip/limit values
+const parsePagination = (query = {}) => {
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit) || DEFAULT_LIMIT));
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+module.exports = {
+  GENDERS,
+  PRODUCT_TYPES,
+  WATCH_SHAPES,
+  PRICE_TIERS,
+  SORT_OPTIONS,
+  PRICE_BUCKETS,
+  escapeRegex,
+  toList,
+  buildProductFilter,
+  buildProductSort,
+  parsePagination
+};
@@ -0,0 +1,77 @@
+// server/utils/productSearch.js
+// ✅ Helpers for product search (text query cleanup + typo/spacing tolerant fallback)
+const { escapeRegex } = require('./productQuery');
+
+const MAX_QUERY_LENGTH = 100;
+const MAX_FUZZY_TERM_LENGTH = 30;
+const MIN_TYPO_TERM_LENGTH = 4;
+
+// Lowercase and strip everything except letters and digits ("G-Shock GA 2100" -> "gshockga2100")
+const compact = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Compact key stored on each product and used by the fuzzy fallback
+const buildSearchKey = ({ brand, title, modelNumber }) => {
+  const model = modelNumber && modelNumber !== 'N/A' ? modelNumber : '';
+  return [brand, title, model].map(compact).join(' ').trim();
+};
+
+// $text treats quotes as phrases and a leading "-" as negation; customers mean neither
+const sanitizeTextQuery = (q) => String(q || '')
+  .slice(0, MAX_QUERY_LENGTH)
+  .replace(/["\\]/g, ' ')
+  .split(/\s+/)
+  .map(term => term.replace(/^-+/, ''))
+  .filter(Boolean)
+  .join(' ');
+
+// Regex source matching `term` with up to one typo (missing, extra, wrong or swapped letter)
+const fuzzyTermPattern = (term) => {
+  const t = term.slice(0, MAX_FUZZY_TERM_LENGTH);
+  const variants = new Set([escapeRegex(t)]);
+
+  if (t.length >= MIN_TYPO_TERM_LENGTH) {
+    for (let i = 0; i < t.length; i++) {
+      const before = escapeRegex(t.slice(0, i));
+      const after = escapeRegex(t.slice(i + 1));
+      variants.add(`${before}.${after}`);                     // wrong letter
+      variants.add(`${before}${after}`);                      // extra letter typed
+      variants.add(`${before}.${escapeRegex(t.slice(i))}`);   // letter missed
+      if (i < t.length - 1) {
+        variants.add(`${before}${escapeRegex(t[i + 1] + t[i])}${escapeRegex(t.slice(i + 2))}`); // swapped
+      }
+    }
+  }
+
+  return [...variants].join('|');
+};
+
+/**
+ * Build a Mongo condition on `searchKey` for the fuzzy fallback.
+ * Every word has to match (with one typo allowed), or the whole query once spaces
+ * are removed has to match, so "Casi o" still finds "Casio".
+ */
+const buildFuzzyCondition = (q) => {
+  const terms = String(q || '')
+    .slice(0, MAX_QUERY_LENGTH)
+    .split(/\s+/)
+    .map(compact)
+    .filter(Boolean);
+
+  if (terms.length === 0) return null;
+
+  const allTerms = {
+    $and: terms.map(term => ({ searchKey: { $regex: fuzzyTermPattern(term) } }))
+  };
+  const joined = terms.join('');
+
+  return terms.length > 1
+    ? { $or: [allTerms, { searchKey: { $regex: fuzzyTermPattern(joined) } }] }
+    : allTerms;
+};
+
+module.exports = {
+  compact,
+  buildSearchKey,
+  sanitizeTextQuery,
+  buildFuzzyCondition
+};
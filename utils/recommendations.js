@@ -0,0 +1,185 @@
+// server/utils/recommendations.js
+// ✅ "Frequently bought together" / related products
+// Co-purchases from order history are weighted highest, attribute similarity fills in the rest.
+// The full table is rebuilt by a periodic job; requests only read it.
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const ProductRecommendation = require('../models/ProductRecommendation');
+const { PRICE_BUCKETS } = require('./productQuery');
+
+// How many related products are stored per product
+const MAX_RELATED = 12;
+
+// Each order containing both products is worth this much - more than any attribute match
+const CO_PURCHASE_WEIGHT = 10;
+const ATTRIBUTE_WEIGHTS = { brand: 3, priceBand: 2, gender: 2, watchShape: 1 };
+
+const getRefreshHours = () => {
+  const hours = parseFloat(process.env.RECOMMENDATION_REFRESH_HOURS);
+  return Number.isFinite(hours) && hours > 0 ? hours : 6;
+};
+
+// Only orders from the last N days count towards "bought together"
+const getLookbackDays = () => {
+  const days = parseInt(process.env.RECOMMENDATION_LOOKBACK_DAYS);
+  return Number.isInteger(days) && days > 0 ? days : 365;
+};
+
+// Index of the PRICE_BUCKETS band a price falls in (null when there's no price)
+const priceBand = (price) => {
+  if (price === null || price === undefined) return null;
+  let band = 0;
+  PRICE_BUCKETS.forEach((min, index) => {
+    if (price >= min) band = index;
+  });
+  return band;
+};
+
+const sameText = (a, b) => Boolean(a && b && a.toLowerCase() === b.toLowerCase());
+
+// Attribute similarity between two products of the same type (0 = nothing in common)
+const similarityScore = (a, b) => {
+  let score = 0;
+  if (sameText(a.brand, b.brand)) score += ATTRIBUTE_WEIGHTS.brand;
+  if (a.gender && a.gender === b.gender) score += ATTRIBUTE_WEIGHTS.gender;
+  if (sameText(a.watchShape, b.watchShape)) score += ATTRIBUTE_WEIGHTS.watchShape;
+  const band = priceBand(a.price);
+  if (band !== null && band === priceBand(b.price)) score += ATTRIBUTE_WEIGHTS.priceBand;
+  return score;
+};
+
+// Map "productId" -> Map("otherProductId" -> number of orders containing both)
+const countCoPurchases = async () => {
+  const since = new Date(Date.now() - getLookbackDays() * 24 * 60 * 60 * 1000);
+  const pairs = await Order.aggregate([
+    { $match: { status: { $ne: 'cancelled' }, createdAt: { $gte: since } } },
+    { $project: { products: { $setUnion: ['$items.productId', []] } } },
+    { $match: { 'products.1': { $exists: true } } },
+    { $project: { a: '$products', b: '$products' } },
+    { $unwind: '$a' },
+    { $unwind: '$b' },
+    { $match: { $expr: { $ne: ['$a', '$b'] } } },
+    { $group: { _id: { a: '$a', b: '$b' }, count: { $sum: 1 } } }
+  ]).allowDiskUse(true);
+
+  const counts = new Map();
+  pairs.forEach(({ _id, count }) => {
+    const key = _id.a.toString();
+    if (!counts.has(key)) counts.set(key, new Map());
+    counts.get(key).set(_id.b.toString(), count);
+  });
+  return counts;
+};
+
+/**
+ * Rebuild the related products of every active product.
+ * Returns the number of products that got recommendations.
+ */
+const refreshRecommendations = async () => {
+  try {
+    const [products, coPurchases] = await Promise.all([
+      Product.find({ status: 'active' })
+        .select('brand gender watchShape price productType createdAt')
+        .lean(),
+      countCoPurchases()
+    ]);
+
+    const now = new Date();
+    const operations = products.map(product => {
+      const partners = coPurchases.get(product._id.toString()) || new Map();
+
+      const related = products
+        .filter(other => other._id.toString() !== product._id.toString())
+        .map(other => {
+          const boughtTogether = partners.get(other._id.toString()) || 0;
+          // Attributes only compare like with like - a wall clock isn't "similar" to a watch
+          const similarity = other.productType === product.productType ? similarityScore(product, other) : 0;
+          return {
+            product: other._id,
+            score: boughtTogether * CO_PURCHASE_WEIGHT + similarity,
+            boughtTogether,
+            reason: boughtTogether > 0 ? 'bought_together' : 'similar',
+            createdAt: other.createdAt
+          };
+        })
+        .filter(candidate => candidate.score > 0)
+        .sort((a, b) => b.score - a.score || b.createdAt - a.createdAt)
+        .slice(0, MAX_RELATED)
+        .map(({ createdAt, ...candidate }) => candidate);
+
+      return {
+        updateOne: {
+          filter: { product: product._id },
+          update: { $set: { related, computedAt: now } },
+          upsert: true
+        }
+      };
+    });
+
+    if (operations.length > 0) {
+      await ProductRecommendation.bulkWrite(operations, { ordered: false });
+    }
+    // Products that are no longer active don't need recommendations
+    await ProductRecommendation.deleteMany({ product: { $nin: products.map(p => p._id) } });
+
+    console.log(`🧭 Related products refreshed for ${operations.length} products`);
+    return operations.length;
+  } catch (error) {
+    console.error('Recommendation refresh error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Related active products for one product, best first.
+ * Falls back to a quick attribute match when the job hasn't covered the product yet
+ * (e.g. it was created since the last run) or too few stored matches are still active.
+ */
+const getRelatedProducts = async (product, limit) => {
+  const stored = await ProductRecommendation.findOne({ product: product._id }).lean();
+  const storedIds = stored ? stored.related.map(r => r.product) : [];
+
+  const active = storedIds.length > 0
+    ? await Product.find({ _id: { $in: storedIds }, status: 'active' })
+    : [];
+  const order = storedIds.map(id => id.toString());
+  active.sort((a, b) => order.indexOf(a._id.toString()) - order.indexOf(b._id.toString()));
+
+  const related = active.slice(0, limit);
+  if (related.length >= limit) {
+    return related;
+  }
+
+  const similarTo = [{ brand: product.brand }, { watchShape: product.watchShape }];
+  if (product.gender) similarTo.push({ gender: product.gender });
+
+  const fallback = await Product.find({
+    status: 'active',
+    productType: product.productType,
+    _id: { $nin: [product._id, ...related.map(p => p._id)] },
+    $or: similarTo
+  })
+    .sort({ ratingAverage: -1, createdAt: -1 })
+    .limit(limit - related.length);
+
+  return [...related, ...fallback];
+};
+
+// ✅ Rebuild recommendations every few hours
+const scheduleRecommendationRefresh = () => {
+  setTimeout(async () => {
+    try {
+      await refreshRecommendations();
+    } catch (error) {
+      // Already logged - keep the schedule running
+    }
+    scheduleRecommendationRefresh();
+  }, getRefreshHours() * 60 * 60 * 1000);
+};
+
+module.exports = {
+  MAX_RELATED,
+  refreshRecommendations,
+  getRelatedProducts,
+  scheduleRecommendationRefresh
+};
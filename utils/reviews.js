@@ -0,0 +1,39 @@
+// server/utils/reviews.js
+// ✅ Rating summaries for products (only approved reviews count)
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+
+// Recalculate and store a product's average rating and review count
+const refreshProductRating = async (productId) => {
+  const [summary] = await Review.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(productId), status: 'approved' } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  const ratingAverage = summary ? Math.round(summary.average * 10) / 10 : 0;
+  const ratingCount = summary ? summary.count : 0;
+  await Product.updateOne({ _id: productId }, { $set: { ratingAverage, ratingCount } });
+  return { ratingAverage, ratingCount };
+};
+
+// Number of approved reviews per star (1-5) for a product
+const ratingDistribution = async (productId) => {
+  const counts = await Review.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(productId), status: 'approved' } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  counts.forEach(c => { distribution[c._id] = c.count; });
+  return distribution;
+};
+
+// Latest delivered order of this customer that contains the product (null if none)
+const findDeliveredOrder = (customerId, productId) => Order.findOne({
+  customer: customerId,
+  status: 'delivered',
+  'items.productId': productId
+}).sort({ createdAt: -1 }).select('_id');
+
+module.exports = { refreshProductRating, ratingDistribution, findDeliveredOrder };
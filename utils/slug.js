@@ -0,0 +1,39 @@
+// server/utils/slug.js
+// ✅ URL slugs for products ("Casio G-Shock GA-2100" -> "casio-g-shock-ga-2100")
+
+const MAX_SLUG_LENGTH = 80;
+
+const slugify = (...parts) => parts
+  .filter(part => part && part !== 'N/A')
+  .join(' ')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '') // strip accents
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, MAX_SLUG_LENGTH)
+  .replace(/-+$/, '');
+
+// Slug base for a product - brand, title and model number
+const productSlugBase = ({ brand, title, modelNumber }) => slugify(brand, title, modelNumber) || 'product';
+
+// True when `slug` was generated from `base` (exactly, or with a -2, -3... suffix)
+const slugMatchesBase = (slug, base) => slug === base || new RegExp(`^${base}-\\d+$`).test(slug);
+
+/**
+ * Find a free slug for `base` by appending -2, -3... when needed.
+ * A slug counts as taken if another document uses it now or used to (previousSlugs),
+ * so old links never start pointing at a different product.
+ */
+const uniqueSlug = async (Model, base, excludeId = null) => {
+  for (let n = 1; ; n++) {
+    const candidate = n === 1 ? base : `${base}-${n}`;
+    const taken = await Model.exists({
+      ...(excludeId && { _id: { $ne: excludeId } }),
+      $or: [{ slug: candidate }, { previousSlugs: candidate }]
+    });
+    if (!taken) return candidate;
+  }
+};
+
+module.exports = { slugify, productSlugBase, slugMatchesBase, uniqueSlug };
@@ -0,0 +1,70 @@
+// server/utils/stockAlerts.js
+// ✅ Low-stock alerts for product colors
+const StockAlert = require('../models/StockAlert');
+
+/**
+ * Check one variant after its stock changed.
+ * - Dropping to or below the threshold opens an alert (or refreshes the open one).
+ * - Going back above the threshold resolves any open/acknowledged alert.
+ * Untracked stock (null quantity) never raises alerts.
+ */
+const checkStockLevel = async (product, variantId) => {
+  try {
+    const variant = product?.colors?.find(c => c._id.toString() === variantId.toString());
+    if (!variant) return null;
+
+    const activeQuery = {
+      product: product._id,
+      variantId: variant._id,
+      status: { $in: ['open', 'acknowledged'] }
+    };
+
+    // Archived products are off sale - nothing to reorder
+    if (variant.quantity === null || variant.quantity === undefined || product.status === 'archived') {
+      return null;
+    }
+
+    const threshold = product.lowStockThresholdFor(variant);
+
+    if (variant.quantity > threshold) {
+      await StockAlert.updateMany(activeQuery, { $set: { status: 'resolved', resolvedAt: new Date() } });
+      return null;
+    }
+
+    const type = variant.quantity === 0 ? 'out_of_stock' : 'low_stock';
+    const existing = await StockAlert.findOne(activeQuery);
+
+    if (existing) {
+      // Escalate to out_of_stock without creating a second alert for the same color
+      existing.type = type;
+      existing.quantity = variant.quantity;
+      existing.threshold = threshold;
+      return await existing.save();
+    }
+
+    const alert = await StockAlert.create({
+      product: product._id,
+      variantId: variant._id,
+      colorName: variant.name,
+      sku: variant.sku || '',
+      type,
+      quantity: variant.quantity,
+      threshold
+    });
+    console.log(`⚠️ Low stock: ${product.title} - ${variant.name} (${variant.quantity} left)`);
+    return alert;
+  } catch (error) {
+    // Alerts are advisory - never fail the stock change because of them
+    console.error('Stock alert error:', error);
+    return null;
+  }
+};
+
+// Check every color of a product (e.g. after an admin edit changed thresholds)
+const checkProductStockLevels = async (product) => {
+  for (const variant of product.colors) {
+    await checkStockLevel(product, variant._id);
+  }
+};
+
+module.exports = { checkStockLevel, checkProductStockLevels };
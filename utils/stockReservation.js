@@ -0,0 +1,246 @@
+// server/utils/stockReservation.js
+// ✅ Hold stock for orders while their bank transfer is being verified
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { SYSTEM_ACTOR, applyVariantChange } = require('./inventoryLedger');
+
+// How long a pending_payment order may hold stock (hours)
+const getReservationHours = () => {
+  const hours = parseFloat(process.env.RESERVATION_EXPIRY_HOURS);
+  return Number.isFinite(hours) && hours > 0 ? hours : 48;
+};
+
+// How often expired reservations are swept (minutes)
+const getSweepMinutes = () => {
+  const minutes = parseFloat(process.env.RESERVATION_SWEEP_MINUTES);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : 15;
+};
+
+const getReservationExpiry = () => new Date(Date.now() + getReservationHours() * 60 * 60 * 1000);
+
+// Error thrown when a line cannot be reserved (routes check err.code)
+const insufficientStockError = (label) => {
+  const error = new Error(`Insufficient stock for ${label}`);
+  error.code = 'INSUFFICIENT_STOCK';
+  return error;
+};
+
+// Give reserved units back to the shelf (or just drop the hold if stock stopped being tracked)
+const returnReservedUnits = async (items, { orderId = null, reason = '', actor = SYSTEM_ACTOR } = {}) => {
+  await Promise.all(items.map(async (item) => {
+    const quantity = item.reservedQuantity || 0;
+    if (!item.productId || !item.variantId || quantity <= 0) return;
+
+    const movement = { type: 'release', reason, order: orderId, actor };
+    const returned = await applyVariantChange({
+      productId: item.productId,
+      variantId: item.variantId,
+      guard: { reserved: { $gte: quantity }, quantity: { $ne: null } },
+      quantityChange: quantity,
+      reservedChange: -quantity,
+      ...movement
+    });
+
+    if (!returned) {
+      await applyVariantChange({
+        productId: item.productId,
+        variantId: item.variantId,
+        guard: { reserved: { $gte: quantity } },
+        reservedChange: -quantity,
+        ...movement
+      });
+    }
+  }));
+};
+
+/**
+ * Reserve stock for each order line, one variant at a time.
+ * Each line is an atomic conditional update, so two customers can't both take the last unit.
+ * If any line fails, lines already reserved are returned and INSUFFICIENT_STOCK is thrown.
+ * Returns the items with `reservedQuantity` set (0 for variants without tracked stock).
+ */
+const reserveOrderStock = async (items, { orderId = null, actor = SYSTEM_ACTOR } = {}) => {
+  const reservedItems = [];
+  const rollback = () => returnReservedUnits(reservedItems, {
+    orderId,
+    reason: 'Order could not be placed',
+    actor
+  });
+
+  for (const item of items) {
+    const product = await Product.findById(item.productId);
+    const variant = product && product.findVariant(item.variantId);
+    const label = product && variant ? `${product.title} (${variant.name})` : 'an item in your order';
+
+    if (!variant) {
+      await rollback();
+      throw insufficientStockError(label);
+    }
+
+    // Untracked stock (null quantity) has nothing to reserve
+    if (variant.quantity === null || variant.quantity === undefined) {
+      reservedItems.push({ ...item, reservedQuantity: 0 });
+      continue;
+    }
+
+    const reserved = await applyVariantChange({
+      productId: item.productId,
+      variantId: variant._id,
+      guard: { quantity: { $gte: item.quantity } },
+      quantityChange: -item.quantity,
+      reservedChange: item.quantity,
+      type: 'reservation',
+      reason: 'Held for order awaiting payment',
+      order: orderId,
+      actor
+    });
+
+    if (!reserved) {
+      await rollback();
+      throw insufficientStockError(label);
+    }
+
+    reservedItems.push({ ...item, reservedQuantity: item.quantity });
+  }
+
+  return reservedItems;
+};
+
+// Undo reserveOrderStock for items that never made it into a saved order
+const rollbackReservation = (items, options = {}) => returnReservedUnits(items, {
+  reason: 'Order could not be placed',
+  ...options
+});
+
+/**
+ * Release an order's reservation (cancelled, receipt rejected or expired).
+ * The stockStatus switch is claimed atomically so a reservation is never released twice.
+ */
+const releaseOrderStock = async (orderId, nextStatus = 'released', actor = SYSTEM_ACTOR) => {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, stockStatus: 'reserved' },
+    { $set: { stockStatus: nextStatus, reservationExpiresAt: null } },
+    { new: true }
+  );
+  if (!order) return false;
+
+  const reason = nextStatus === 'expired'
+    ? 'Reservation expired (order left in pending payment)'
+    : 'Order cancelled or receipt rejected';
+  await returnReservedUnits(order.items, { orderId: order._id, reason, actor });
+  return true;
+};
+
+/**
+ * Turn an order's reservation into a sale (receipt verified).
+ * Units already left `quantity` when they were reserved, so only the hold is dropped.
+ */
+const commitOrderStock = async (orderId, actor = SYSTEM_ACTOR) => {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, stockStatus: 'reserved' },
+    { $set: { stockStatus: 'committed', reservationExpiresAt: null } },
+    { new: true }
+  );
+  if (!order) return false;
+
+  await Promise.all(order.items.map(async (item) => {
+    const quantity = item.reservedQuantity || 0;
+    if (!item.variantId || quantity <= 0) return;
+    await applyVariantChange({
+      productId: item.productId,
+      variantId: item.variantId,
+      guard: { reserved: { $gte: quantity } },
+      reservedChange: -quantity,
+      type: 'sale',
+      reason: 'Payment verified',
+      order: order._id,
+      actor
+    });
+  }));
+  return true;
+};
+
+/**
+ * Put a committed (sold) order's units back on the shelf when it is cancelled.
+ * The stockStatus switch is claimed atomically so units are never returned twice.
+ * Orders committed before reservations existed have no reservedQuantity; their full
+ * line quantity is returned to variants that track stock.
+ */
+const restockOrder = async (orderId, actor = SYSTEM_ACTOR) => {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, stockStatus: 'committed' },
+    { $set: { stockStatus: 'returned' } },
+    { new: true }
+  );
+  if (!order) return false;
+
+  await Promise.all(order.items.map(async (item) => {
+    const quantity = item.reservedQuantity || item.quantity || 0;
+    if (!item.productId || quantity <= 0) return;
+
+    const product = await Product.findById(item.productId);
+    const variant = product && product.findVariant(item.variantId, item.selectedColor);
+    if (!variant) return;
+
+    await applyVariantChange({
+      productId: item.productId,
+      variantId: variant._id,
+      guard: { quantity: { $ne: null } },
+      quantityChange: quantity,
+      type: 'return',
+      reason: 'Order cancelled after payment',
+      order: order._id,
+      actor
+    });
+  }));
+  return true;
+};
+
+// Release reservations on orders left in pending_payment past their expiry
+const releaseExpiredReservations = async () => {
+  try {
+    const expiredOrders = await Order.find({
+      status: 'pending_payment',
+      stockStatus: 'reserved',
+      reservationExpiresAt: { $lt: new Date() }
+    }).select('_id');
+
+    let released = 0;
+    for (const order of expiredOrders) {
+      if (await releaseOrderStock(order._id, 'expired')) {
+        released++;
+      }
+    }
+
+    if (released > 0) {
+      console.log(`⏳ Released expired stock reservations for ${released} orders`);
+    }
+    return released;
+  } catch (error) {
+    console.error('Reservation expiry error:', error);
+    throw error;
+  }
+};
+
+// ✅ Sweep expired reservations every few minutes
+const scheduleReservationExpiry = () => {
+  setTimeout(async () => {
+    try {
+      await releaseExpiredReservations();
+    } catch (error) {
+      // Already logged - keep the schedule running
+    }
+    scheduleReservationExpiry();
+  }, getSweepMinutes() * 60 * 1000);
+};
+
+module.exports = {
+  getReservationExpiry,
+  reserveOrderStock,
+  rollbackReservation,
+  releaseOrderStock,
+  commitOrderStock,
+  restockOrder,
+  releaseExpiredReservations,
+  scheduleReservationExpiry
+};
@@ -0,0 +1,65 @@
+// server/utils/storage/cloudinaryDriver.js
+// ✅ Cloudinary storage driver - keys are the asset's secure_url
+const cloudinary = require('../../config/cloudinary');
+
+const ROOT_FOLDER = 'happy_time';
+
+// Images and videos keep their own resource types; documents (PDF/Word) are "raw"
+const resourceTypeFor = (mimetype = '') => {
+  if (mimetype.startsWith('image/')) return 'image';
+  if (mimetype.startsWith('video/')) return 'video';
+  return 'raw';
+};
+
+// e.g. https://res.cloudinary.com/<cloud>/image/upload/v123/happy_time/products/images/abc.jpg
+//      -> resource_type "image", public_id "happy_time/products/images/abc"
+// (raw assets keep their extension as part of the public_id)
+const parseUrl = (url) => {
+  const match = typeof url === 'string'
+    && url.includes('res.cloudinary.com')
+    && url.match(/\/(image|video|raw)\/upload\/(?:v\d+\/)?(.+)$/i);
+  if (!match) return null;
+
+  const [, resourceType, path] = match;
+  const publicId = resourceType === 'raw' ? path : path.replace(/\.[a-z0-9]+$/i, '');
+  return { resourceType, publicId };
+};
+
+const put = async (file, { folder, filename } = {}) => {
+  const resourceType = resourceTypeFor(file.mimetype);
+
+  const result = await new Promise((resolve, reject) => {
+    const uploadStream = cloudinary.uploader.upload_stream(
+      {
+        folder: `${ROOT_FOLDER}/${folder}`,
+        resource_type: resourceType,
+        // Raw files need their extension in the public_id to download correctly
+        ...(filename && { public_id: resourceType === 'raw' ? filename : filename.replace(/\.[^.]+$/, '') }),
+        timeout: 60000
+      },
+      (error, result) => {
+        if (error) {
+          reject(new Error('Media upload failed'));
+        } else {
+          resolve(result);
+        }
+      }
+    );
+    uploadStream.end(file.buffer);
+  });
+
+  return { key: result.secure_url, url: result.secure_url };
+};
+
+const getUrl = (key) => key || '';
+
+const owns = (key) => !!parseUrl(key);
+
+const remove = async (key) => {
+  const asset = parseUrl(key);
+  if (!asset) return false;
+  const result = await cloudinary.uploader.destroy(asset.publicId, { resource_type: asset.resourceType });
+  return result?.result === 'ok';
+};
+
+module.exports = { name: 'cloudinary', put, getUrl, owns, remove };
@@ -0,0 +1,58 @@
+// server/utils/storage/documentDriver.js
+// ✅ Restricted document storage - files live under private-documents/ (or
+// PRIVATE_DOCUMENT_DIR), outside the publicly served uploads/ folder. They have no
+// public URL; routes that check who is asking stream them with getPath().
+// Keys look like "private-documents/business-documents/business_registration-123.pdf".
+const fs = require('fs');
+const path = require('path');
+
+const KEY_PREFIX = 'private-documents';
+
+const documentRoot = () => path.resolve(process.env.PRIVATE_DOCUMENT_DIR || KEY_PREFIX);
+
+const uniqueName = (originalname = '') => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  return uniqueSuffix + path.extname(originalname).toLowerCase();
+};
+
+// Absolute path of a key, or null if it isn't one of ours (or tries to leave the root)
+const getPath = (key) => {
+  if (typeof key !== 'string' || !key.startsWith(`${KEY_PREFIX}/`)) return null;
+
+  const root = documentRoot();
+  const resolved = path.resolve(root, key.slice(KEY_PREFIX.length + 1));
+  return resolved.startsWith(root + path.sep) ? resolved : null;
+};
+
+const put = async (file, { folder, filename } = {}) => {
+  const key = path.posix.join(KEY_PREFIX, folder, path.basename(filename || uniqueName(file.originalname)));
+  const filePath = getPath(key);
+  try {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, file.buffer);
+  } catch (error) {
+    console.error('Document storage write failed:', error);
+    throw new Error('Media upload failed');
+  }
+
+  return { key, url: '' };
+};
+
+// Never publicly reachable
+const getUrl = () => '';
+
+const owns = (key) => !!getPath(key);
+
+const remove = async (key) => {
+  const filePath = getPath(key);
+  if (!filePath) return false;
+  try {
+    await fs.promises.unlink(filePath);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+};
+
+module.exports = { name: 'documents', put, getUrl, getPath, owns, remove };
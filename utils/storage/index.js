@@ -0,0 +1,70 @@
+// server/utils/storage/index.js
+// ✅ Media storage used by product media, CV and receipt uploads
+//
+// STORAGE_DRIVER=cloudinary | local
+// Defaults to Cloudinary when CLOUDINARY_CLOUD_NAME is set, otherwise local disk,
+// so development and test setups work without Cloudinary credentials.
+// Private documents (receipts, CVs) always stay on local disk - Cloudinary would give
+// them public URLs - and keep their "uploads/..." path as the key.
+// Restricted documents (business verification) go to the document driver, outside the
+// publicly served uploads/ folder, and are only streamed by authenticated routes.
+const cloudinaryDriver = require('./cloudinaryDriver');
+const localDriver = require('./localDriver');
+const documentDriver = require('./documentDriver');
+
+const DRIVERS = {
+  cloudinary: cloudinaryDriver,
+  local: localDriver
+};
+
+// Every driver a stored key can belong to
+const ALL_DRIVERS = [...Object.values(DRIVERS), documentDriver];
+
+const getDriver = () => {
+  const configured = (process.env.STORAGE_DRIVER || '').toLowerCase();
+  if (DRIVERS[configured]) return DRIVERS[configured];
+  return process.env.CLOUDINARY_CLOUD_NAME ? cloudinaryDriver : localDriver;
+};
+
+/**
+ * Store an uploaded file (multer memory file: buffer, mimetype, originalname).
+ * `folder` is relative, e.g. "products/images" or "receipts".
+ * Pass `private: true` for customer documents that must not get a public CDN URL,
+ * `restricted: true` for documents nobody may fetch without logging in (no URL at all).
+ * Resolves to { key, url } - save `key`, show `url`.
+ */
+const put = (file, { private: isPrivate = false, restricted = false, ...options } = {}) => {
+  if (!file) return Promise.resolve(null);
+  if (restricted) return documentDriver.put(file, options);
+  return (isPrivate ? localDriver : getDriver()).put(file, options);
+};
+
+// Public URL for a stored key ('' for restricted documents)
+const getUrl = (key) => {
+  if (!key) return '';
+  const driver = ALL_DRIVERS.find(d => d.owns(key));
+  return driver ? driver.getUrl(key) : key;
+};
+
+// Absolute path of a restricted document, for routes that stream it (null if unknown)
+const getDocumentPath = (key) => documentDriver.getPath(key);
+
+/**
+ * Delete stored files by key or URL. Each one is removed by whichever driver
+ * created it, so switching drivers doesn't orphan older files.
+ * Failures are logged, never thrown.
+ */
+const remove = async (keys) => {
+  const list = [...new Set((Array.isArray(keys) ? keys : [keys]).filter(Boolean))];
+  await Promise.all(list.map(async (key) => {
+    const driver = ALL_DRIVERS.find(d => d.owns(key));
+    if (!driver) return;
+    try {
+      await driver.remove(key);
+    } catch (error) {
+      console.error(`Storage delete failed (${driver.name}) for`, key, error.message);
+    }
+  }));
+};
+
+module.exports = { put, getUrl, getDocumentPath, remove, getDriver };
@@ -0,0 +1,71 @@
+// server/utils/storage/localDriver.js
+// ✅ Local disk storage driver - files live under uploads/ (served at /uploads by server.js)
+// Keys are paths relative to the project root, e.g. "uploads/receipts/receipt-123.jpg",
+// which matches what multer diskStorage used to save in the database.
+const fs = require('fs');
+const path = require('path');
+
+const UPLOAD_ROOT = 'uploads';
+
+// Public base URL for links (empty = relative "/uploads/..." links)
+const publicBase = () => (process.env.LOCAL_STORAGE_PUBLIC_URL || '').replace(/\/+$/, '');
+
+const uniqueName = (originalname = '') => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  return uniqueSuffix + path.extname(originalname).toLowerCase();
+};
+
+// Accept a key, a "/uploads/..." link or a full URL produced by getUrl
+const toKey = (keyOrUrl) => {
+  if (typeof keyOrUrl !== 'string' || !keyOrUrl) return null;
+
+  let value = keyOrUrl;
+  const base = publicBase();
+  if (base && value.startsWith(base)) {
+    value = value.slice(base.length);
+  }
+  value = value.replace(/^\/+/, '');
+
+  if (!value.startsWith(`${UPLOAD_ROOT}/`)) return null;
+
+  // Never let a key escape the uploads directory
+  const resolved = path.resolve(value);
+  if (!resolved.startsWith(path.resolve(UPLOAD_ROOT) + path.sep)) return null;
+  return value;
+};
+
+const put = async (file, { folder, filename } = {}) => {
+  const dir = path.join(UPLOAD_ROOT, folder);
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  const key = path.posix.join(UPLOAD_ROOT, folder, path.basename(filename || uniqueName(file.originalname)));
+  try {
+    await fs.promises.writeFile(key, file.buffer);
+  } catch (error) {
+    console.error('Local storage write failed:', error);
+    throw new Error('Media upload failed');
+  }
+
+  return { key, url: getUrl(key) };
+};
+
+const getUrl = (key) => {
+  const localKey = toKey(key);
+  return localKey ? `${publicBase()}/${localKey}` : (key || '');
+};
+
+const owns = (key) => !!toKey(key);
+
+const remove = async (key) => {
+  const localKey = toKey(key);
+  if (!localKey) return false;
+  try {
+    await fs.promises.unlink(localKey);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+};
+
+module.exports = { name: 'local', put, getUrl, owns, remove };